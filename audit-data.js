@@ -0,0 +1,78 @@
+const fs = require('fs');
+const { SPORTS } = require('./lib/game-schema');
+const { CHECKS, auditShards } = require('./lib/data-quality');
+
+// Usage: node audit-data.js [--sport ncaaf|nfl] [--season 2023,2024] [--out report.json] [--json] [--strict]
+const args = parseArgs(process.argv.slice(2));
+
+if (args.sport && !SPORTS.includes(args.sport)) {
+    console.error(`❌ Unknown sport: ${args.sport} (use ${SPORTS.join(', ')})`);
+    process.exit(2);
+}
+
+const report = auditShards({
+    sports: args.sport ? [args.sport] : [],
+    seasons: args.season ? String(args.season).split(',') : []
+});
+
+if (args.json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+} else {
+    printSummary(report);
+}
+
+if (args.out) {
+    fs.writeFileSync(args.out, JSON.stringify(report, null, 2));
+    if (!args.json) console.log(`\n📝 Full report written to ${args.out}`);
+}
+
+if (args.strict && report.issueCount > 0) {
+    process.exit(1);
+}
+
+function printSummary(report) {
+    console.log('🔍 Data Quality Audit');
+    console.log('=====================');
+    if (!report.files.length) {
+        console.log('No season shards found under data/.');
+        return;
+    }
+
+    console.log(`📂 ${report.files.length} shards, ${report.rows.toLocaleString()} rows`);
+    report.files.forEach(entry => {
+        const flag = entry.issues ? '⚠️ ' : '✅';
+        console.log(`   ${flag} ${entry.file}: ${entry.rows} rows, ${entry.issues} issues`);
+    });
+
+    console.log('\n🎯 Issues by check:');
+    CHECKS.forEach(check => {
+        console.log(`   ${check.padEnd(20)} ${report.counts[check]}`);
+    });
+
+    CHECKS.filter(check => report.counts[check]).forEach(check => {
+        console.log(`\n⚠️ ${check} (first 5):`);
+        report.issues
+            .filter(issue => issue.check === check)
+            .slice(0, 5)
+            .forEach(issue => {
+                console.log(`   ${issue.file} row ${issue.index + 1} (${issue.id}, ${issue.lineProvider || 'no provider'}): ${issue.detail}`);
+            });
+    });
+}
+
+function parseArgs(argv) {
+    const parsed = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) continue;
+        const key = arg.slice(2);
+        if (key === 'json' || key === 'strict') {
+            parsed[key] = true;
+        } else {
+            parsed[key] = argv[i + 1];
+            i++;
+        }
+    }
+    if (parsed.sport) parsed.sport = String(parsed.sport).toLowerCase();
+    return parsed;
+}
@@ -0,0 +1,375 @@
+/*
+ * Cross-book arbitrage and middle scanner.
+ *
+ * Works on the closing lines several books posted for the same game (the
+ * NCAAF source has one row per game per LineProvider), never on one book's
+ * prices over time. The published consensus is not a bettable line and is
+ * left out.
+ *
+ *   arb     the best home and best away moneyline at two different books
+ *           imply less than 100% together, so staking both sides locks in
+ *           a profit
+ *   middle  one book's home spread is higher than another's (home +7.5 at
+ *           one, away -6.5 at the other), or one book's total is lower than
+ *           another's; a final margin or total between the two numbers wins
+ *           both bets
+ *
+ * Stakes are split so either leg returns the same amount on its own, which
+ * for a middle is also the most it can lose. A middle's hit rate comes from
+ * the completed games that kicked off before this one (earlier seasons when
+ * either date is missing) and whose consensus line sat within `window` points
+ * of this game's: how often their final margin (or total) landed between the
+ * two numbers, and how often on one of them for a win and a push. Spread and
+ * total prices default to -110 where a book does not publish one.
+ *
+ * Books do not always agree on which team is home at a neutral site, and a
+ * stale or mis-signed line looks like a huge middle. A book's line is left
+ * out of a market when it sits more than `maxLineDeviation` points (spreads
+ * and totals) or `maxPriceDeviation` of no-vig home win probability
+ * (moneylines) from the median of the books; with two books that drops both.
+ */
+
+const { consolidateGames, closingLines, isConsensusBook } = require('./consolidate');
+const { STANDARD_PRICE, americanToDecimal } = require('./odds');
+const { toNumber } = require('./game-schema');
+
+const ARB_SETTINGS = { stake: 100, minGap: 0.5, window: 1.5, maxLineDeviation: 3, maxPriceDeviation: 0.05 };
+
+function readNumber(value, fallback) {
+  const num = parseFloat(value);
+  return Number.isFinite(num) ? num : fallback;
+}
+
+// Stakes that return the same amount whichever leg wins
+function splitStakes(prices, stake) {
+  const decimals = prices.map(americanToDecimal);
+  const inverse = decimals.reduce((acc, decimal) => acc + 1 / decimal, 0);
+  const payout = stake / inverse;
+  return {
+    impliedTotal: inverse,
+    payout,
+    stakes: decimals.map(decimal => payout / decimal)
+  };
+}
+
+function price(value) {
+  return Number.isFinite(value) ? { price: value, assumedPrice: false } : { price: STANDARD_PRICE, assumedPrice: true };
+}
+
+// The bettable book lines of one consolidated game, optionally limited to `books`
+function bettableLines(game, books) {
+  return Object.entries(game.lines).filter(([book]) => (
+    !isConsensusBook(book) && (!books || books.includes(book.toLowerCase()))
+  ));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// The lines that quote `valueOf` and sit within `maxDeviation` of the books' median
+function consistentLines(lines, valueOf, maxDeviation) {
+  const quoted = lines.filter(([, line]) => Number.isFinite(valueOf(line)));
+  if (!quoted.length) return { lines: [], outliers: 0 };
+  const center = median(quoted.map(([, line]) => valueOf(line)));
+  const kept = quoted.filter(([, line]) => Math.abs(valueOf(line) - center) <= maxDeviation);
+  return { lines: kept, outliers: quoted.length - kept.length };
+}
+
+// `better(candidate, current)` decides whether a book's value beats the best so far
+function bestLine(lines, field, better) {
+  let best = null;
+  lines.forEach(([book, line]) => {
+    const value = line[field];
+    if (!Number.isFinite(value)) return;
+    if (!best || better(value, best.value)) best = { book, value, line };
+  });
+  return best;
+}
+
+function gameSummary(game) {
+  return {
+    id: game.id,
+    season: game.season,
+    week: game.week,
+    startDate: game.startDate,
+    homeTeam: game.homeTeam,
+    awayTeam: game.awayTeam,
+    completed: game.completed === true,
+    homeScore: game.homeScore,
+    awayScore: game.awayScore
+  };
+}
+
+// Best home and away moneylines at two different books; one book's own
+// pair adding up to under 100% is a pricing error rather than an arb
+function bestMoneylinePair(lines) {
+  let best = null;
+  lines.forEach(([homeBook, homeLine]) => {
+    lines.forEach(([awayBook, awayLine]) => {
+      const home = homeLine.homeMoneyline;
+      const away = awayLine.awayMoneyline;
+      if (homeBook === awayBook || !Number.isFinite(home) || !Number.isFinite(away)) return;
+      const impliedTotal = 1 / americanToDecimal(home) + 1 / americanToDecimal(away);
+      if (!best || impliedTotal < best.impliedTotal) {
+        best = { impliedTotal, home: { book: homeBook, value: home }, away: { book: awayBook, value: away } };
+      }
+    });
+  });
+  return best;
+}
+
+function moneylineArb(game, lines, settings) {
+  const pair = bestMoneylinePair(lines);
+  if (!pair) return null;
+  const { home, away } = pair;
+  const split = splitStakes([home.value, away.value], settings.stake);
+  if (split.impliedTotal >= 1) return null;
+
+  const profit = split.payout - settings.stake;
+  const arb = {
+    ...gameSummary(game),
+    type: 'arb',
+    market: 'moneyline',
+    legs: [
+      { side: 'home', book: home.book, line: null, price: home.value, assumedPrice: false, stake: split.stakes[0] },
+      { side: 'away', book: away.book, line: null, price: away.value, assumedPrice: false, stake: split.stakes[1] }
+    ],
+    impliedTotal: split.impliedTotal,
+    margin: 1 - split.impliedTotal,
+    guaranteedProfit: profit,
+    roi: profit / settings.stake,
+    result: null,
+    actualProfit: null
+  };
+  if (arb.completed && Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore)) {
+    // A tie returns both moneyline stakes
+    arb.result = game.homeScore === game.awayScore ? 'tie' : 'arb';
+    arb.actualProfit = arb.result === 'tie' ? 0 : profit;
+  }
+  return arb;
+}
+
+// Net profit of the two legs for one final margin or total. `legs` carry
+// { stake, decimal, grade(value) } where grade returns 1 win, 0 push, -1 loss.
+function settleLegs(legs, value, stake) {
+  const returned = legs.reduce((acc, leg) => {
+    const grade = leg.grade(value);
+    if (grade > 0) return acc + leg.stake * leg.decimal;
+    if (grade === 0) return acc + leg.stake;
+    return acc;
+  }, 0);
+  return returned - stake;
+}
+
+function classifyMiddle(legs, value) {
+  const grades = legs.map(leg => leg.grade(value));
+  if (grades.every(grade => grade > 0)) return 'hit';
+  if (grades.some(grade => grade === 0)) return 'half';
+  return 'miss';
+}
+
+// Spread middles grade on the home margin, total middles on the combined score
+const MIDDLE_MARKETS = {
+  spread: {
+    field: 'spread',
+    // Home bettors want the highest home spread, away bettors the lowest
+    low: { side: 'away', better: (a, b) => a < b, priceField: 'awayLineOddsClose' },
+    high: { side: 'home', better: (a, b) => a > b, priceField: 'homeLineOddsClose' },
+    legLine: (side, value) => (side === 'home' ? value : -value),
+    grade: (side, value) => margin => Math.sign(side === 'home' ? margin + value : -(margin + value)),
+    outcome: game => game.homeScore - game.awayScore
+  },
+  total: {
+    field: 'overUnder',
+    low: { side: 'over', better: (a, b) => a < b, priceField: 'totalScoreOverClose' },
+    high: { side: 'under', better: (a, b) => a > b, priceField: 'totalScoreUnderClose' },
+    legLine: (side, value) => value,
+    grade: (side, value) => points => Math.sign(side === 'over' ? points - value : value - points),
+    outcome: game => game.homeScore + game.awayScore
+  }
+};
+
+// Only results known before `game` kicked off count toward its hit rate
+function playedBefore(result, game) {
+  const kickoff = Date.parse(game.startDate);
+  if (Number.isFinite(kickoff) && Number.isFinite(result.kickoff)) return result.kickoff < kickoff;
+  return result.season < game.season;
+}
+
+function findMiddle(game, lines, market, history, settings) {
+  const spec = MIDDLE_MARKETS[market];
+  const low = bestLine(lines, spec.field, spec.low.better);
+  const high = bestLine(lines, spec.field, spec.high.better);
+  if (!low || !high) return null;
+  const gap = high.value - low.value;
+  if (gap < settings.minGap || gap <= 0) return null;
+
+  const prices = [price(high.line[spec.high.priceField]), price(low.line[spec.low.priceField])];
+  const split = splitStakes(prices.map(entry => entry.price), settings.stake);
+  const legs = [
+    { spec: spec.high, entry: high, priced: prices[0], stake: split.stakes[0] },
+    { spec: spec.low, entry: low, priced: prices[1], stake: split.stakes[1] }
+  ].map(({ spec: sideSpec, entry, priced, stake }) => ({
+    side: sideSpec.side,
+    book: entry.book,
+    line: spec.legLine(sideSpec.side, entry.value),
+    price: priced.price,
+    assumedPrice: priced.assumedPrice,
+    stake,
+    decimal: americanToDecimal(priced.price),
+    grade: spec.grade(sideSpec.side, entry.value)
+  }));
+
+  // Games priced like this one that had already been played
+  const center = Number.isFinite(game.consensus[spec.field]) ? game.consensus[spec.field] : (high.value + low.value) / 2;
+  const sample = history[market].filter(result => (
+    playedBefore(result, game) && Math.abs(result.line - center) <= settings.window
+  ));
+  const count = outcome => sample.filter(result => classifyMiddle(legs, result.value) === outcome).length;
+  const expectedProfit = sample.length
+    ? sample.reduce((acc, result) => acc + settleLegs(legs, result.value, settings.stake), 0) / sample.length
+    : null;
+
+  const middle = {
+    ...gameSummary(game),
+    type: 'middle',
+    market,
+    legs: legs.map(({ decimal, grade, ...leg }) => leg),
+    gap,
+    impliedTotal: split.impliedTotal,
+    guaranteedProfit: split.payout - settings.stake,
+    middleProfit: legs.reduce((acc, leg) => acc + leg.stake * leg.decimal, 0) - settings.stake,
+    sample: sample.length,
+    hitRate: sample.length ? count('hit') / sample.length : null,
+    halfRate: sample.length ? count('half') / sample.length : null,
+    expectedProfit,
+    roi: expectedProfit === null ? null : expectedProfit / settings.stake,
+    result: null,
+    actualProfit: null
+  };
+  if (middle.completed && Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore)) {
+    const value = spec.outcome(game);
+    middle.result = classifyMiddle(legs, value);
+    middle.actualProfit = settleLegs(legs, value, settings.stake);
+  }
+  return middle;
+}
+
+// Consensus spread / home margin and total / points for every completed game
+function buildHistory(games) {
+  const history = { spread: [], total: [] };
+  closingLines(games)
+    .filter(game => game.completed !== false && Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore))
+    .forEach(game => {
+      const played = { season: game.season, kickoff: Date.parse(game.startDate) };
+      if (Number.isFinite(game.spread)) {
+        history.spread.push({ ...played, line: game.spread, value: MIDDLE_MARKETS.spread.outcome(game) });
+      }
+      if (Number.isFinite(game.overUnder)) {
+        history.total.push({ ...played, line: game.overUnder, value: MIDDLE_MARKETS.total.outcome(game) });
+      }
+    });
+  return history;
+}
+
+function average(values) {
+  const finite = values.filter(Number.isFinite);
+  return finite.length ? finite.reduce((acc, value) => acc + value, 0) / finite.length : null;
+}
+
+function summarize(arbs, middles, outlierLines) {
+  const settled = middles.filter(middle => middle.result !== null);
+  return {
+    outlierLines,
+    arbs: arbs.length,
+    averageMargin: average(arbs.map(arb => arb.margin)),
+    middles: middles.length,
+    averageHitRate: average(middles.map(middle => middle.hitRate)),
+    settledMiddles: settled.length,
+    middlesHit: settled.filter(middle => middle.result === 'hit').length,
+    middleProfit: settled.reduce((acc, middle) => acc + middle.actualProfit, 0)
+  };
+}
+
+// Returns { seasons, options, errors } for /api/arbitrage; only usable when
+// `errors` is empty. Settings left out of the query keep their defaults.
+function parseArbitrageQuery(searchParams) {
+  const errors = [];
+  const seasons = String(searchParams.get('season') || '').split(',').map(s => s.trim()).filter(Boolean);
+  seasons.forEach(season => {
+    if (!/^\d{4}$/.test(season)) errors.push(`season must be a year: ${season}`);
+  });
+
+  const options = {
+    books: String(searchParams.get('books') || '').split(',').map(book => book.trim()).filter(Boolean)
+  };
+  Object.keys(ARB_SETTINGS).forEach(key => {
+    const text = searchParams.get(key);
+    if (text === null || text === '') return;
+    const value = toNumber(text);
+    if (key === 'stake' && !(value > 0)) errors.push('stake must be a positive number');
+    else if (key !== 'stake' && (value === null || value < 0)) errors.push(`${key} must be zero or a positive number`);
+    else options[key] = value;
+  });
+  return { seasons, options, errors };
+}
+
+// `games` are the book rows to scan; `historyGames` the rows hit rates are
+// measured on (every season of the sport, each middle using only the games
+// played before it). Options are the ARB_SETTINGS keys and `books`, a list
+// of book names to limit the scan to.
+function scanArbitrage(games, historyGames, options = {}) {
+  const settings = {
+    stake: readNumber(options.stake, ARB_SETTINGS.stake),
+    minGap: readNumber(options.minGap, ARB_SETTINGS.minGap),
+    window: readNumber(options.window, ARB_SETTINGS.window),
+    maxLineDeviation: readNumber(options.maxLineDeviation, ARB_SETTINGS.maxLineDeviation),
+    maxPriceDeviation: readNumber(options.maxPriceDeviation, ARB_SETTINGS.maxPriceDeviation)
+  };
+  const books = options.books && options.books.length ? options.books.map(book => book.toLowerCase()) : null;
+  const history = buildHistory(historyGames);
+
+  const arbs = [];
+  const middles = [];
+  let multiBookGames = 0;
+  let outlierLines = 0;
+  const consistent = (lines, valueOf, maxDeviation) => {
+    const result = consistentLines(lines, valueOf, maxDeviation);
+    outlierLines += result.outliers;
+    return result.lines;
+  };
+  consolidateGames(games).forEach(game => {
+    const lines = bettableLines(game, books);
+    if (lines.length < 2) return;
+    multiBookGames += 1;
+    const moneylines = consistent(lines, line => line.pricing.moneyline?.home.probability, settings.maxPriceDeviation);
+    const arb = moneylineArb(game, moneylines, settings);
+    if (arb) arbs.push(arb);
+    Object.entries(MIDDLE_MARKETS).forEach(([market, spec]) => {
+      const quoted = consistent(lines, line => line[spec.field], settings.maxLineDeviation);
+      const middle = findMiddle(game, quoted, market, history, settings);
+      if (middle) middles.push(middle);
+    });
+  });
+
+  arbs.sort((a, b) => b.margin - a.margin);
+  middles.sort((a, b) => (b.expectedProfit ?? -Infinity) - (a.expectedProfit ?? -Infinity) || b.gap - a.gap);
+
+  return {
+    settings: { ...settings, standardPrice: STANDARD_PRICE, books },
+    games: multiBookGames,
+    summary: summarize(arbs, middles, outlierLines),
+    arbs,
+    middles
+  };
+}
+
+module.exports = {
+  ARB_SETTINGS,
+  splitStakes,
+  parseArbitrageQuery,
+  scanArbitrage
+};
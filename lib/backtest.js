@@ -0,0 +1,316 @@
+/*
+ * Rule-based strategy backtester.
+ *
+ * A rule pairs a declarative game filter with the bet to place on every game
+ * it matches. Home underdogs of +7 or more in conference games after a loss:
+ *
+ *   { market: 'spread', side: 'home',
+ *     filters: { spread: { min: 7 }, conferenceGame: true, previousResult: 'loss' } }
+ *
+ * Games are consolidated and graded at one line per game: the chosen book's,
+ * or the consensus. The team-relative filters are read from the side being
+ * bet, or from the home team for totals. `spread` is that team's closing
+ * spread and `lineMove` is how many points the line moved toward the bet
+ * between open and close. `previousResult` / `previousAts` describe that
+ * team's previous game of the same season, whether or not the chosen book
+ * priced it, with the ATS result at the consensus line. Each bet risks one
+ * unit at the closing price, or -110 when a spread or total price was not
+ * published.
+ */
+
+const { consolidateGames, isConsensusBook } = require('./consolidate');
+const { gradeGame } = require('./grading');
+const { STANDARD_PRICE, winProfit } = require('./odds');
+const { toNumber, toBoolean, cleanString, sortByKickoff } = require('./game-schema');
+
+const BET_SIDES = {
+  spread: ['home', 'away', 'favorite', 'underdog'],
+  total: ['over', 'under'],
+  moneyline: ['home', 'away', 'favorite', 'underdog']
+};
+
+const RANGE_FILTERS = ['spread', 'total', 'week', 'lineMove'];
+const BOOLEAN_FILTERS = ['conferenceGame', 'neutralSite'];
+const PREVIOUS_RESULTS = ['win', 'loss', 'tie'];
+const PREVIOUS_ATS = ['win', 'loss', 'push'];
+const SEASON_TYPES = ['regular', 'postseason'];
+
+function toRange(value) {
+  if (!value || typeof value !== 'object') return null;
+  const min = toNumber(value.min);
+  const max = toNumber(value.max);
+  return min === null && max === null ? null : { min, max };
+}
+
+// Coerce request input into the rule shape; unset filters are dropped
+function normalizeRule(input = {}) {
+  const raw = input.filters || {};
+  const filters = {};
+  RANGE_FILTERS.forEach(key => {
+    const range = toRange(raw[key]);
+    if (range) filters[key] = range;
+  });
+  BOOLEAN_FILTERS.forEach(key => {
+    const flag = toBoolean(raw[key]);
+    if (flag !== null) filters[key] = flag;
+  });
+  ['conference', 'seasonType', 'previousResult', 'previousAts'].forEach(key => {
+    const value = cleanString(raw[key]);
+    if (value) filters[key] = key === 'conference' ? value : value.toLowerCase();
+  });
+  const seasons = (Array.isArray(raw.seasons) ? raw.seasons : String(raw.seasons ?? '').split(','))
+    .map(toNumber)
+    .filter(season => season !== null);
+  if (seasons.length) filters.seasons = seasons;
+
+  return {
+    market: String(input.market || '').trim().toLowerCase(),
+    side: String(input.side || '').trim().toLowerCase(),
+    book: cleanString(input.book),
+    filters
+  };
+}
+
+function validateRule(rule) {
+  const errors = [];
+  if (!BET_SIDES[rule.market]) {
+    errors.push(`market must be one of ${Object.keys(BET_SIDES).join(', ')}`);
+  } else if (!BET_SIDES[rule.market].includes(rule.side)) {
+    errors.push(`side for ${rule.market} must be one of ${BET_SIDES[rule.market].join(', ')}`);
+  }
+  const { filters } = rule;
+  RANGE_FILTERS.forEach(key => {
+    const range = filters[key];
+    if (range && range.min !== null && range.max !== null && range.min > range.max) {
+      errors.push(`${key}.min must not be above ${key}.max`);
+    }
+  });
+  if (filters.seasonType && !SEASON_TYPES.includes(filters.seasonType)) {
+    errors.push(`seasonType must be one of ${SEASON_TYPES.join(', ')}`);
+  }
+  if (filters.previousResult && !PREVIOUS_RESULTS.includes(filters.previousResult)) {
+    errors.push(`previousResult must be one of ${PREVIOUS_RESULTS.join(', ')}`);
+  }
+  if (filters.previousAts && !PREVIOUS_ATS.includes(filters.previousAts)) {
+    errors.push(`previousAts must be one of ${PREVIOUS_ATS.join(', ')}`);
+  }
+  return errors;
+}
+
+// The chosen book's line, or the consensus with its published prices when there are any
+function marketLine(game, book) {
+  if (book) {
+    const wanted = book.toLowerCase();
+    const name = game.books.find(candidate => candidate.toLowerCase() === wanted);
+    return name ? game.lines[name] : null;
+  }
+  const published = game.books.find(isConsensusBook);
+  return { ...(published ? game.lines[published] : {}), ...game.consensus };
+}
+
+function inRange(value, range) {
+  if (!range) return true;
+  if (!Number.isFinite(value)) return false;
+  return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+}
+
+// NFL rows carry divisions ("AFC East"), so "AFC" matches every AFC team
+function matchesConference(conference, wanted) {
+  const name = String(conference || '').toLowerCase();
+  const target = wanted.toLowerCase();
+  return name === target || name.startsWith(`${target} `);
+}
+
+// Home/away for the side being bet; null when there is no favorite to pick
+function resolveTeam(market, side, line) {
+  if (side === 'home' || side === 'away') return side;
+  if (market === 'moneyline') {
+    const { homeMoneyline: home, awayMoneyline: away } = line;
+    if (!Number.isFinite(home) || !Number.isFinite(away) || home === away) return null;
+    return (home < away) === (side === 'favorite') ? 'home' : 'away';
+  }
+  if (!Number.isFinite(line.spread) || line.spread === 0) return null;
+  return (line.spread < 0) === (side === 'favorite') ? 'home' : 'away';
+}
+
+function teamSpread(spread, team) {
+  if (!Number.isFinite(spread)) return null;
+  return team === 'home' ? spread : -spread;
+}
+
+function lineMove(market, side, team, line) {
+  if (market === 'total') {
+    if (!Number.isFinite(line.overUnder) || !Number.isFinite(line.openingOverUnder)) return null;
+    const move = line.overUnder - line.openingOverUnder;
+    return side === 'over' ? move : -move;
+  }
+  const open = teamSpread(line.openingSpread, team);
+  const close = teamSpread(line.spread, team);
+  return open === null || close === null ? null : open - close;
+}
+
+// { price, assumed }; moneylines have no fallback price
+function betPrice(market, side, team, line) {
+  if (market === 'moneyline') {
+    return { price: team === 'home' ? line.homeMoneyline : line.awayMoneyline, assumed: false };
+  }
+  const field = market === 'total'
+    ? (side === 'over' ? 'totalScoreOverClose' : 'totalScoreUnderClose')
+    : (team === 'home' ? 'homeLineOddsClose' : 'awayLineOddsClose');
+  const published = Number.isFinite(line[field]);
+  return { price: published ? line[field] : STANDARD_PRICE, assumed: !published };
+}
+
+function betResult(market, side, team, grade) {
+  if (market === 'total') {
+    if (!grade.ou) return null;
+    return grade.ou.result === 'push' ? 'push' : grade.ou.result === side ? 'win' : 'loss';
+  }
+  if (market === 'moneyline') {
+    if (grade.winner === 'tie') return 'push';
+    return grade.winner === team ? 'win' : 'loss';
+  }
+  if (!grade.ats) return null;
+  if (grade.ats.push) return 'push';
+  return grade.ats.result === team ? 'win' : 'loss';
+}
+
+function resultFor(grade, team) {
+  if (grade.winner === 'tie') return 'tie';
+  return grade.winner === team ? 'win' : 'loss';
+}
+
+function atsFor(grade, team) {
+  if (!grade.ats) return null;
+  if (grade.ats.push) return 'push';
+  return grade.ats.result === team ? 'win' : 'loss';
+}
+
+function createTally(key) {
+  return { key, bets: 0, wins: 0, losses: 0, pushes: 0, units: 0 };
+}
+
+function addToTally(tally, bet) {
+  tally.bets += 1;
+  tally.units += bet.profit;
+  if (bet.result === 'win') tally.wins += 1;
+  else if (bet.result === 'loss') tally.losses += 1;
+  else tally.pushes += 1;
+}
+
+function finalizeTally(tally) {
+  const decisions = tally.wins + tally.losses;
+  return {
+    ...tally,
+    winRate: decisions ? tally.wins / decisions : null,
+    roi: tally.bets ? tally.units / tally.bets : null
+  };
+}
+
+// `games` are canonical line rows for one sport. Games that are not final yet
+// are returned as `upcoming` matches rather than graded.
+function runBacktest(games, rule) {
+  const { market, side, book, filters } = rule;
+  const previous = new Map();
+  const matched = [];
+
+  sortByKickoff(consolidateGames(games)).forEach(game => {
+    const line = marketLine(game, book);
+    const history = {
+      home: previous.get(game.homeTeam),
+      away: previous.get(game.awayTeam)
+    };
+    const grade = line ? gradeGame({ ...game, spread: line.spread, overUnder: line.overUnder }) : null;
+    // Team history: every completed game, at the consensus line
+    const consensus = book ? marketLine(game, null) : line;
+    const played = gradeGame({ ...game, spread: consensus.spread, overUnder: consensus.overUnder });
+    if (played) {
+      ['home', 'away'].forEach(team => {
+        const name = team === 'home' ? game.homeTeam : game.awayTeam;
+        previous.set(name, { season: game.season, result: resultFor(played, team), ats: atsFor(played, team) });
+      });
+    }
+    if (!line) return;
+
+    const team = market === 'total' ? 'home' : resolveTeam(market, side, line);
+    if (!team) return;
+    const last = history[team] && history[team].season === game.season ? history[team] : null;
+    const view = {
+      spread: teamSpread(line.spread, team),
+      total: line.overUnder,
+      week: game.week,
+      lineMove: lineMove(market, side, team, line)
+    };
+
+    if (!RANGE_FILTERS.every(key => inRange(view[key], filters[key]))) return;
+    if (filters.seasons && !filters.seasons.includes(game.season)) return;
+    if (filters.seasonType && game.seasonType !== filters.seasonType) return;
+    if (filters.neutralSite !== undefined && Boolean(game.neutralSite) !== filters.neutralSite) return;
+    if (filters.conferenceGame !== undefined && game.conferenceGame !== filters.conferenceGame) return;
+    if (filters.conference) {
+      const conferences = market === 'total'
+        ? [game.homeConference, game.awayConference]
+        : [team === 'home' ? game.homeConference : game.awayConference];
+      if (!conferences.some(conference => matchesConference(conference, filters.conference))) return;
+    }
+    if (filters.previousResult && last?.result !== filters.previousResult) return;
+    if (filters.previousAts && last?.ats !== filters.previousAts) return;
+
+    const { price, assumed } = betPrice(market, side, team, line);
+    if (!Number.isFinite(price)) return;
+    const result = grade ? betResult(market, side, team, grade) : null;
+    if (grade && !result) return;
+    matched.push({
+      id: game.id,
+      season: game.season,
+      week: game.week,
+      seasonType: game.seasonType,
+      startDate: game.startDate,
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam,
+      homeScore: game.homeScore,
+      awayScore: game.awayScore,
+      team: market === 'total' ? null : team === 'home' ? game.homeTeam : game.awayTeam,
+      spread: view.spread,
+      total: view.total,
+      lineMove: view.lineMove,
+      price,
+      assumedPrice: assumed,
+      previousResult: last ? last.result : null,
+      result,
+      profit: result === 'win' ? winProfit(price) : result === 'loss' ? -1 : result === 'push' ? 0 : null
+    });
+  });
+
+  const graded = matched.filter(bet => bet.result);
+  const summary = createTally('all');
+  const bySeason = new Map();
+  const series = [];
+  let peak = 0;
+  let maxDrawdown = 0;
+  graded.forEach(bet => {
+    addToTally(summary, bet);
+    if (!bySeason.has(bet.season)) bySeason.set(bet.season, createTally(bet.season));
+    addToTally(bySeason.get(bet.season), bet);
+    peak = Math.max(peak, summary.units);
+    maxDrawdown = Math.max(maxDrawdown, peak - summary.units);
+    series.push({ id: bet.id, startDate: bet.startDate, units: summary.units, drawdown: peak - summary.units });
+  });
+
+  return {
+    rule,
+    book: book || 'consensus',
+    summary: { ...finalizeTally(summary), maxDrawdown },
+    bySeason: Array.from(bySeason.values()).map(finalizeTally).sort((a, b) => b.key - a.key),
+    series,
+    bets: graded.reverse(),
+    upcoming: matched.filter(bet => !bet.result)
+  };
+}
+
+module.exports = {
+  BET_SIDES,
+  normalizeRule,
+  validateRule,
+  runBacktest
+};
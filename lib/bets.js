@@ -0,0 +1,192 @@
+/*
+ * Bet journal store.
+ *
+ * Bets we actually placed are kept in a small JSON file under `data/` (set
+ * BETS_FILE to move it). Each bet points at a game by sport and id and records
+ * the market, side, line and price taken, stake and book, plus its result once
+ * settled. validateBet() follows validateGame(): it returns a list of
+ * problems, empty when valid, and rejects a gameId that is not one of the
+ * sport's games. Journals move between machines as JSON or CSV with the
+ * BET_FIELDS columns.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SPORTS, toNumber, cleanString } = require('./game-schema');
+const store = require('./data-store');
+const { parseCsv, toCsv } = require('./csv');
+
+const BETS_FILE = process.env.BETS_FILE || path.join(__dirname, '..', 'data', 'bets.json');
+
+const MARKET_SIDES = {
+  spread: ['home', 'away'],
+  total: ['over', 'under'],
+  moneyline: ['home', 'away']
+};
+
+const RESULTS = ['win', 'loss', 'push'];
+
+const BET_FIELDS = [
+  'id', 'sport', 'gameId', 'market', 'side', 'line', 'price', 'stake',
+  'book', 'placedAt', 'notes', 'result', 'settledAt'
+];
+
+// Coerce request input into the stored bet shape
+function normalizeBet(input) {
+  const market = String(input.market || '').trim().toLowerCase();
+  return {
+    id: cleanString(input.id),
+    sport: String(input.sport || '').trim().toLowerCase(),
+    gameId: cleanString(input.gameId),
+    market,
+    side: String(input.side || '').trim().toLowerCase(),
+    line: market === 'moneyline' ? null : toNumber(input.line),
+    price: toNumber(input.price),
+    stake: toNumber(input.stake),
+    book: cleanString(input.book),
+    placedAt: cleanString(input.placedAt) || new Date().toISOString(),
+    notes: cleanString(input.notes),
+    result: cleanString(input.result)?.toLowerCase() || null,
+    settledAt: cleanString(input.settledAt)
+  };
+}
+
+function gameExists(sport, gameId) {
+  return store.loadGames(sport).some(game => String(game.id) === gameId);
+}
+
+function validateBet(bet) {
+  const errors = [];
+  if (!SPORTS.includes(bet.sport)) errors.push(`sport must be one of ${SPORTS.join(', ')}`);
+  if (!bet.gameId) errors.push('gameId is required');
+  else if (SPORTS.includes(bet.sport) && !gameExists(bet.sport, bet.gameId)) {
+    errors.push(`gameId ${bet.gameId} is not a ${bet.sport} game`);
+  }
+  if (!MARKET_SIDES[bet.market]) {
+    errors.push(`market must be one of ${Object.keys(MARKET_SIDES).join(', ')}`);
+  } else if (!MARKET_SIDES[bet.market].includes(bet.side)) {
+    errors.push(`side for ${bet.market} must be one of ${MARKET_SIDES[bet.market].join(', ')}`);
+  }
+  if (bet.market !== 'moneyline' && bet.line === null) errors.push('line is required for spread and total bets');
+  if (bet.price === null || Math.abs(bet.price) < 100) errors.push('price must be American odds (e.g. -110 or +150)');
+  if (bet.stake === null || bet.stake <= 0) errors.push('stake must be a positive number');
+  if (Number.isNaN(new Date(bet.placedAt).getTime())) errors.push('placedAt must be a date');
+  if (bet.result !== null && !RESULTS.includes(bet.result)) errors.push(`result must be one of ${RESULTS.join(', ')}`);
+  return errors;
+}
+
+function readBets() {
+  if (!fs.existsSync(BETS_FILE)) return [];
+  return JSON.parse(fs.readFileSync(BETS_FILE, 'utf8'));
+}
+
+function writeBets(bets) {
+  fs.mkdirSync(path.dirname(BETS_FILE), { recursive: true });
+  fs.writeFileSync(BETS_FILE, JSON.stringify(bets, null, 1));
+}
+
+function listBets(filters = {}) {
+  return readBets().filter(bet => !filters.sport || bet.sport === String(filters.sport).toLowerCase());
+}
+
+function getBet(id) {
+  return readBets().find(bet => bet.id === id) || null;
+}
+
+// Returns { bet } on success or { errors } when the input is invalid
+function addBet(input) {
+  const bet = normalizeBet(input);
+  const errors = validateBet(bet);
+  if (errors.length) return { errors };
+  bet.id = crypto.randomUUID();
+  const bets = readBets();
+  bets.push(bet);
+  writeBets(bets);
+  return { bet };
+}
+
+// Merges `input` over the stored bet; null when the id is unknown
+function updateBet(id, input) {
+  const bets = readBets();
+  const index = bets.findIndex(bet => bet.id === id);
+  if (index === -1) return null;
+  const bet = normalizeBet({ ...bets[index], ...input, id });
+  const errors = validateBet(bet);
+  if (errors.length) return { errors };
+  if (bet.result && !bet.settledAt) bet.settledAt = new Date().toISOString();
+  if (!bet.result) bet.settledAt = null;
+  bets[index] = bet;
+  writeBets(bets);
+  return { bet };
+}
+
+function settleBet(id, result) {
+  return updateBet(id, { result, settledAt: new Date().toISOString() });
+}
+
+function deleteBet(id) {
+  const bets = readBets();
+  const remaining = bets.filter(bet => bet.id !== id);
+  if (remaining.length === bets.length) return false;
+  writeBets(remaining);
+  return true;
+}
+
+// Adds every valid record; ids already in the journal are skipped
+function importBets(records) {
+  const bets = readBets();
+  const known = new Set(bets.map(bet => bet.id));
+  const invalid = [];
+  let imported = 0;
+  let skipped = 0;
+
+  records.forEach((record, index) => {
+    const bet = normalizeBet(record);
+    const errors = validateBet(bet);
+    if (errors.length) {
+      invalid.push({ index, id: bet.id, errors });
+      return;
+    }
+    if (bet.id && known.has(bet.id)) {
+      skipped += 1;
+      return;
+    }
+    bet.id = bet.id || crypto.randomUUID();
+    known.add(bet.id);
+    bets.push(bet);
+    imported += 1;
+  });
+
+  if (imported) writeBets(bets);
+  return { imported, skipped, invalid };
+}
+
+function betsToCsv(bets) {
+  return toCsv(bets, BET_FIELDS);
+}
+
+// A JSON export is either a bare array or { bets: [...] }
+function parseBetsFile(text, format) {
+  if (format === 'csv') return parseCsv(text);
+  const parsed = typeof text === 'string' ? JSON.parse(text) : text;
+  return Array.isArray(parsed) ? parsed : parsed.bets || [];
+}
+
+module.exports = {
+  BETS_FILE,
+  MARKET_SIDES,
+  RESULTS,
+  BET_FIELDS,
+  normalizeBet,
+  validateBet,
+  listBets,
+  getBet,
+  addBet,
+  updateBet,
+  settleBet,
+  deleteBet,
+  importBets,
+  betsToCsv,
+  parseBetsFile
+};
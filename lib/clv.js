@@ -0,0 +1,183 @@
+/*
+ * Closing line value and P&L for logged bets.
+ *
+ * Each bet is compared with the closing line of every book that priced the
+ * game and with the consensus close. Points CLV is how many points better our
+ * number was than the close, from our side (positive means we beat it).
+ * Probability CLV is the close-implied chance our bet wins minus the chance
+ * implied by the price we paid. For spreads and totals the close-implied
+ * chance starts from the closing price (-110 when the book did not publish
+ * one) and is shifted by POINT_VALUE per point of line difference, a
+ * rule-of-thumb conversion near the middle of the distribution.
+ */
+
+const { consolidateGames } = require('./consolidate');
+const { STANDARD_PRICE, impliedProbability, winProfit } = require('./odds');
+
+// Approximate win probability per point of spread/total near the middle
+const POINT_VALUE = {
+  ncaaf: 0.025,
+  nfl: 0.03
+};
+
+// Closing line and price for one side of a market, from our side of the bet
+function closeForSide(line, market, side) {
+  if (market === 'spread') {
+    if (!Number.isFinite(line.spread)) return null;
+    const homeSide = side === 'home';
+    return {
+      line: homeSide ? line.spread : -line.spread,
+      price: (homeSide ? line.homeLineOddsClose : line.awayLineOddsClose) ?? null
+    };
+  }
+  if (market === 'total') {
+    if (!Number.isFinite(line.overUnder)) return null;
+    return {
+      line: line.overUnder,
+      price: (side === 'over' ? line.totalScoreOverClose : line.totalScoreUnderClose) ?? null
+    };
+  }
+  const price = side === 'home' ? line.homeMoneyline : line.awayMoneyline;
+  return Number.isFinite(price) ? { line: null, price } : null;
+}
+
+function clvAgainst(bet, close, sport) {
+  if (!close) return null;
+  const betProbability = impliedProbability(bet.price);
+  let points = null;
+  if (bet.market === 'spread') points = bet.line - close.line;
+  if (bet.market === 'total') points = bet.side === 'over' ? close.line - bet.line : bet.line - close.line;
+
+  const closePrice = Number.isFinite(close.price) ? close.price : STANDARD_PRICE;
+  const closeProbability = impliedProbability(closePrice) + (points ?? 0) * (POINT_VALUE[sport] || POINT_VALUE.nfl);
+  return {
+    closeLine: close.line,
+    closePrice: Number.isFinite(close.price) ? close.price : null,
+    points,
+    probability: closeProbability - betProbability
+  };
+}
+
+// 'win' | 'loss' | 'push', or null while the game is not final
+function gradeBet(bet, game) {
+  if (!game || game.completed === false) return null;
+  if (!Number.isFinite(game.homeScore) || !Number.isFinite(game.awayScore)) return null;
+  const margin = game.homeScore - game.awayScore;
+  let edge;
+  if (bet.market === 'spread') edge = (bet.side === 'home' ? margin : -margin) + bet.line;
+  else if (bet.market === 'total') edge = bet.side === 'over' ? game.homeScore + game.awayScore - bet.line : bet.line - (game.homeScore + game.awayScore);
+  else edge = bet.side === 'home' ? margin : -margin;
+  return edge > 0 ? 'win' : edge < 0 ? 'loss' : 'push';
+}
+
+function betProfit(bet, result) {
+  if (result === 'win') return winProfit(bet.price, bet.stake);
+  if (result === 'loss') return -bet.stake;
+  return 0;
+}
+
+// `gamesById` maps `${sport}|${id}` to that game's canonical line rows
+function evaluateBet(bet, gamesById) {
+  const rows = gamesById.get(`${bet.sport}|${bet.gameId}`) || [];
+  if (!rows.length) {
+    const result = bet.result || null;
+    return { ...bet, game: null, result, profit: result ? betProfit(bet, result) : null, clv: { consensus: null, bet: null, books: {} } };
+  }
+  const [game] = consolidateGames(rows);
+
+  const books = {};
+  rows.forEach(row => {
+    const clv = clvAgainst(bet, closeForSide(row, bet.market, bet.side), bet.sport);
+    if (clv) books[row.lineProvider || 'Unknown'] = clv;
+  });
+  const betBookRow = rows.find(row => bet.book && String(row.lineProvider || '').toLowerCase() === bet.book.toLowerCase());
+
+  // A result settled in the journal wins over grading from the score
+  const result = bet.result || gradeBet(bet, game);
+  return {
+    ...bet,
+    game: {
+      season: game.season,
+      week: game.week,
+      startDate: game.startDate,
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam,
+      homeScore: game.homeScore,
+      awayScore: game.awayScore,
+      completed: game.completed
+    },
+    result,
+    profit: result ? betProfit(bet, result) : null,
+    clv: {
+      consensus: clvAgainst(bet, closeForSide(game.consensus, bet.market, bet.side), bet.sport),
+      bet: betBookRow ? books[betBookRow.lineProvider] || null : null,
+      books
+    }
+  };
+}
+
+function summarize(evaluated) {
+  const graded = evaluated.filter(bet => bet.result);
+  const staked = graded.reduce((acc, bet) => acc + bet.stake, 0);
+  const profit = graded.reduce((acc, bet) => acc + bet.profit, 0);
+  const withClv = evaluated.filter(bet => bet.clv.consensus);
+  const pointClv = withClv.filter(bet => bet.clv.consensus.points !== null);
+  const count = result => graded.filter(bet => bet.result === result).length;
+  return {
+    bets: evaluated.length,
+    graded: graded.length,
+    wins: count('win'),
+    losses: count('loss'),
+    pushes: count('push'),
+    staked,
+    profit,
+    roi: staked ? profit / staked : null,
+    avgClvPoints: pointClv.length
+      ? pointClv.reduce((acc, bet) => acc + bet.clv.consensus.points, 0) / pointClv.length
+      : null,
+    avgClvProbability: withClv.length
+      ? withClv.reduce((acc, bet) => acc + bet.clv.consensus.probability, 0) / withClv.length
+      : null,
+    beatCloseRate: withClv.length
+      ? withClv.filter(bet => bet.clv.consensus.probability > 0).length / withClv.length
+      : null
+  };
+}
+
+// Running totals in game order (placement time when the game is unknown)
+function buildTimeline(evaluated) {
+  let profit = 0;
+  let clvPoints = 0;
+  let clvProbability = 0;
+  return evaluated
+    .map(bet => ({ bet, date: bet.game?.startDate || bet.placedAt }))
+    .sort((a, b) => new Date(a.date) - new Date(b.date))
+    .map(({ bet, date }) => {
+      profit += bet.profit ?? 0;
+      clvPoints += bet.clv.consensus?.points ?? 0;
+      clvProbability += bet.clv.consensus?.probability ?? 0;
+      return { id: bet.id, date, profit, clvPoints, clvProbability };
+    });
+}
+
+function evaluateBets(bets, games) {
+  const gamesById = new Map();
+  games.forEach(game => {
+    const key = `${game.sport}|${game.id}`;
+    if (!gamesById.has(key)) gamesById.set(key, []);
+    gamesById.get(key).push(game);
+  });
+  const evaluated = bets.map(bet => evaluateBet(bet, gamesById));
+  return {
+    summary: summarize(evaluated),
+    timeline: buildTimeline(evaluated),
+    bets: evaluated
+  };
+}
+
+module.exports = {
+  POINT_VALUE,
+  gradeBet,
+  betProfit,
+  evaluateBets
+};
@@ -0,0 +1,177 @@
+/*
+ * Multi-book line consolidation.
+ *
+ * The NCAAF source has one row per game per LineProvider, so the same matchup
+ * shows up once for Bovada, once for DraftKings, once for the consensus, and
+ * so on. consolidateGames() folds those rows into one record per game with a
+ * `lines` map keyed by book, a consensus line, and the best available spread
+ * and total for each side across the books. Each book line also carries its
+ * no-vig pricing and hold, and the game gets fair odds averaged across the
+ * bettable books (lib/pricing.js).
+ */
+
+const { americanToDecimal, decimalToAmerican } = require('./odds');
+const { priceLine, fairOdds } = require('./pricing');
+
+const LINE_FIELDS = [
+  'spread',
+  'formattedSpread',
+  'overUnder',
+  'openingSpread',
+  'openingOverUnder',
+  'homeMoneyline',
+  'awayMoneyline',
+  'homeLineOddsClose',
+  'awayLineOddsClose',
+  'totalScoreOverClose',
+  'totalScoreUnderClose'
+];
+
+// Game-level fields copied from the first row of each group
+const GAME_LEVEL_FIELDS = [
+  'id', 'sport', 'season', 'week', 'seasonType', 'round', 'startDate', 'completed',
+  'homeTeam', 'awayTeam', 'homeConference', 'awayConference',
+  'homeClassification', 'awayClassification', 'homeScore', 'awayScore',
+  'neutralSite', 'conferenceGame', 'playoffGame', 'notes'
+];
+
+// Providers that publish a market average rather than a bettable line
+const CONSENSUS_BOOKS = ['consensus'];
+
+function isConsensusBook(book) {
+  return CONSENSUS_BOOKS.includes(String(book || '').trim().toLowerCase());
+}
+
+function median(values) {
+  const sorted = values.filter(Number.isFinite).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// American odds are not linear around even money, so take the median in decimal
+function medianMoneyline(values) {
+  const mid = median(values.map(americanToDecimal).filter(Boolean));
+  return mid === null ? null : decimalToAmerican(mid);
+}
+
+function pickLine(row) {
+  const line = {};
+  LINE_FIELDS.forEach(field => { line[field] = row[field] ?? null; });
+  return line;
+}
+
+// Prefer a published consensus row; otherwise take the median across books
+function buildConsensus(lines) {
+  const books = Object.keys(lines);
+  const published = books.find(isConsensusBook);
+  if (published) {
+    const line = lines[published];
+    return {
+      source: published,
+      spread: line.spread,
+      overUnder: line.overUnder,
+      openingSpread: line.openingSpread,
+      openingOverUnder: line.openingOverUnder,
+      homeMoneyline: line.homeMoneyline,
+      awayMoneyline: line.awayMoneyline
+    };
+  }
+  const values = field => books.map(book => lines[book][field]);
+  return {
+    source: 'median',
+    spread: median(values('spread')),
+    overUnder: median(values('overUnder')),
+    openingSpread: median(values('openingSpread')),
+    openingOverUnder: median(values('openingOverUnder')),
+    homeMoneyline: medianMoneyline(values('homeMoneyline')),
+    awayMoneyline: medianMoneyline(values('awayMoneyline'))
+  };
+}
+
+// `better(candidate, current)` decides whether the candidate line beats the current best
+function bestAcrossBooks(lines, field, better) {
+  let best = null;
+  Object.entries(lines).forEach(([book, line]) => {
+    if (isConsensusBook(book)) return;
+    const value = line[field];
+    if (!Number.isFinite(value)) return;
+    if (!best || better(value, best.line)) {
+      best = { line: value, book };
+    }
+  });
+  return best;
+}
+
+// Spreads are quoted from the home side: home bettors want the highest number,
+// away bettors the lowest. Over bettors want the lowest total, under the highest.
+function buildBestLines(lines) {
+  const homeSpread = bestAcrossBooks(lines, 'spread', (a, b) => a > b);
+  const awaySpread = bestAcrossBooks(lines, 'spread', (a, b) => a < b);
+  return {
+    homeSpread,
+    awaySpread: awaySpread ? { line: -awaySpread.line, book: awaySpread.book } : null,
+    over: bestAcrossBooks(lines, 'overUnder', (a, b) => a < b),
+    under: bestAcrossBooks(lines, 'overUnder', (a, b) => a > b)
+  };
+}
+
+// Fair odds from the bettable books, or the published consensus when it is all there is
+function buildFairOdds(lines, method) {
+  const books = Object.keys(lines).filter(book => !isConsensusBook(book));
+  const sources = books.length ? books : Object.keys(lines);
+  return fairOdds(sources.map(book => lines[book]), { method });
+}
+
+// Group canonical game rows by sport and id, keeping first-seen order.
+// `options.vigMethod` picks the lib/pricing.js no-vig method.
+function consolidateGames(games, options = {}) {
+  const groups = new Map();
+  games.forEach(game => {
+    const key = `${game.sport}|${game.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(game);
+  });
+
+  return Array.from(groups.values()).map(rows => {
+    const consolidated = {};
+    GAME_LEVEL_FIELDS.forEach(field => { consolidated[field] = rows[0][field] ?? null; });
+
+    const lines = {};
+    rows.forEach(row => {
+      const line = pickLine(row);
+      line.pricing = priceLine(line, { method: options.vigMethod });
+      lines[row.lineProvider || 'Unknown'] = line;
+    });
+
+    consolidated.books = Object.keys(lines);
+    consolidated.lines = lines;
+    consolidated.consensus = buildConsensus(lines);
+    consolidated.best = buildBestLines(lines);
+    consolidated.fair = buildFairOdds(lines, options.vigMethod);
+    return consolidated;
+  });
+}
+
+// One closing line per game: the chosen book's row, or the consensus across books
+function closingLines(games, book) {
+  if (book) {
+    const wanted = String(book).trim().toLowerCase();
+    return games.filter(game => String(game.lineProvider || '').trim().toLowerCase() === wanted);
+  }
+  return consolidateGames(games).map(game => ({
+    ...game,
+    lineProvider: game.consensus.source,
+    spread: game.consensus.spread,
+    overUnder: game.consensus.overUnder,
+    homeMoneyline: game.consensus.homeMoneyline,
+    awayMoneyline: game.consensus.awayMoneyline
+  }));
+}
+
+module.exports = {
+  CONSENSUS_BOOKS,
+  isConsensusBook,
+  consolidateGames,
+  closingLines
+};
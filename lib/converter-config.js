@@ -0,0 +1,105 @@
+/*
+ * Converter configuration.
+ *
+ * convert-data.js reads converter.config.json at the repo root (or the file
+ * passed with --config): the output directory, the team registry that
+ * normalizes names and affiliations (null turns it off), and per sport the
+ * input file (a CSV, or an .xlsx workbook with an optional `sheet`) plus the
+ * column map lib/ingest.js applies to it. Relative paths resolve against the
+ * config file's directory. The shipped converter.config.json holds the
+ * defaults: a --config file only needs the keys it changes, and a sport's
+ * `columns` replaces the shipped map rather than merging into it. When no
+ * config names NFL columns, the workbook's built-in NFL_WORKBOOK_COLUMNS
+ * apply.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SPORTS } = require('./game-schema');
+const { validateColumnMap } = require('./ingest');
+const { NFL_WORKBOOK_COLUMNS } = require('./nfl-workbook');
+
+const ROOT_DIR = path.join(__dirname, '..');
+const DEFAULT_CONFIG_FILE = path.join(ROOT_DIR, 'converter.config.json');
+
+// Column maps used when no config gives the sport one
+const BUILT_IN_COLUMNS = { nfl: NFL_WORKBOOK_COLUMNS };
+
+// Return a list of human-readable problems; an empty list means the config is usable
+function validateConverterConfig(config) {
+  if (!config || typeof config !== 'object' || Array.isArray(config)) return ['config must be an object'];
+  const errors = [];
+  const allowed = ['dataDir', 'teamRegistry', ...SPORTS];
+  Object.keys(config).forEach(key => {
+    if (!allowed.includes(key)) errors.push(`unknown key "${key}" (use ${allowed.join(', ')})`);
+  });
+  if (config.dataDir !== undefined && (typeof config.dataDir !== 'string' || !config.dataDir)) {
+    errors.push('dataDir must be a path');
+  }
+  if (config.teamRegistry !== undefined && config.teamRegistry !== null && (typeof config.teamRegistry !== 'string' || !config.teamRegistry)) {
+    errors.push('teamRegistry must be a path or null');
+  }
+  SPORTS.forEach(sport => {
+    const settings = config[sport];
+    if (settings === undefined) return;
+    if (!settings || typeof settings !== 'object' || Array.isArray(settings)) {
+      errors.push(`${sport} must be an object`);
+      return;
+    }
+    if (settings.input !== undefined && (typeof settings.input !== 'string' || !settings.input)) {
+      errors.push(`${sport}.input must be a path`);
+    }
+    if (settings.sheet !== undefined && settings.sheet !== null && typeof settings.sheet !== 'string') {
+      errors.push(`${sport}.sheet must be a sheet name`);
+    }
+    validateColumnMap(settings).forEach(error => errors.push(`${sport}: ${error}`));
+  });
+  return errors;
+}
+
+function readConfigFile(configFile) {
+  if (!fs.existsSync(configFile)) throw new Error(`Config file not found: ${configFile}`);
+  let config;
+  try {
+    config = JSON.parse(fs.readFileSync(configFile, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not parse ${configFile}: ${error.message}`);
+  }
+  const errors = validateConverterConfig(config);
+  if (errors.length) throw new Error(`Invalid config ${configFile}: ${errors.join('; ')}`);
+  return config;
+}
+
+// Merge a config file over the shipped converter.config.json and resolve its
+// paths; with no `file` the shipped config is used as it is. Paths from the
+// shipped config resolve against the repo root, the others against `file`.
+function loadConverterConfig(file = null) {
+  const defaults = readConfigFile(DEFAULT_CONFIG_FILE);
+  const configFile = file ? path.resolve(file) : DEFAULT_CONFIG_FILE;
+  const overrides = configFile === DEFAULT_CONFIG_FILE ? {} : readConfigFile(configFile);
+  // The path from `overrides` when it names one, else the shipped one
+  const resolvePath = (override, fallback) => (
+    override !== undefined ? path.resolve(path.dirname(configFile), override) : path.resolve(ROOT_DIR, fallback)
+  );
+
+  const config = {
+    file: configFile,
+    dataDir: resolvePath(overrides.dataDir, defaults.dataDir),
+    teamRegistry: null
+  };
+  const registry = overrides.teamRegistry === undefined ? defaults.teamRegistry : overrides.teamRegistry;
+  if (registry) config.teamRegistry = resolvePath(overrides.teamRegistry, defaults.teamRegistry);
+  SPORTS.forEach(sport => {
+    const sportOverrides = overrides[sport] || {};
+    const settings = { ...defaults[sport], ...sportOverrides };
+    if (!settings.columns && BUILT_IN_COLUMNS[sport]) settings.columns = BUILT_IN_COLUMNS[sport];
+    config[sport] = { ...settings, input: resolvePath(sportOverrides.input, defaults[sport].input) };
+  });
+  return config;
+}
+
+module.exports = {
+  DEFAULT_CONFIG_FILE,
+  validateConverterConfig,
+  loadConverterConfig
+};
@@ -0,0 +1,154 @@
+/*
+ * Small RFC 4180 CSV reader/writer.
+ *
+ * Handles quoted fields with embedded commas, doubled quotes and line breaks,
+ * and either LF or CRLF row endings. Values come back as strings; callers
+ * coerce them into their own shapes. createCsvParser() accepts text in chunks
+ * of any size, so readCsvRecords() can stream a file without holding it in
+ * memory; parseCsvRows() and parseCsv() run the same parser over one string.
+ */
+
+// Incremental parser: push() chunks as they arrive, then end(). `onRow` gets
+// the raw fields, the line the row starts on, and an error when a quoted
+// field is still open at end of input.
+function createCsvParser(onRow) {
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let quotePending = false;
+  let skipLineFeed = false;
+  let line = 1;
+  let rowLine = 1;
+
+  function endRow(error = null) {
+    row.push(field);
+    // Blank lines carry no data
+    if (row.length > 1 || row[0] !== '' || error) onRow(row, rowLine, error);
+    row = [];
+    field = '';
+  }
+
+  function push(chunk) {
+    for (let i = 0; i < chunk.length; i++) {
+      const char = chunk[i];
+      if (skipLineFeed) {
+        skipLineFeed = false;
+        if (char === '\n') continue;
+      }
+      // A quote inside quotes is either doubled (a literal quote) or closes the field
+      if (quotePending) {
+        quotePending = false;
+        if (char === '"') {
+          field += '"';
+          continue;
+        }
+        inQuotes = false;
+      }
+      if (inQuotes) {
+        if (char === '"') {
+          quotePending = true;
+        } else {
+          if (char === '\n') line += 1;
+          field += char;
+        }
+      } else if (char === '"' && field === '') {
+        inQuotes = true;
+      } else if (char === ',') {
+        row.push(field);
+        field = '';
+      } else if (char === '\n' || char === '\r') {
+        endRow();
+        line += 1;
+        rowLine = line;
+        skipLineFeed = char === '\r';
+      } else {
+        field += char;
+      }
+    }
+  }
+
+  function end() {
+    const unterminated = inQuotes && !quotePending;
+    if (field !== '' || row.length || unterminated) {
+      endRow(unterminated ? 'unterminated quoted field' : null);
+    }
+    inQuotes = false;
+    quotePending = false;
+  }
+
+  return { push, end };
+}
+
+// Rows of raw string fields
+function parseCsvRows(text) {
+  const rows = [];
+  const parser = createCsvParser(fields => rows.push(fields));
+  parser.push(String(text));
+  parser.end();
+  return rows;
+}
+
+function headerKeys(headers) {
+  return headers.map((header, index) => (index === 0 ? header.replace(/^\uFEFF/, '') : header).trim());
+}
+
+// Objects keyed by the header row
+function parseCsv(text) {
+  const [headers, ...rows] = parseCsvRows(text);
+  if (!headers) return [];
+  const keys = headerKeys(headers);
+  return rows.map(fields => Object.fromEntries(keys.map((key, index) => [key, fields[index] ?? ''])));
+}
+
+// { line, fields, error } per row from a readable stream (set an encoding so
+// multi-byte characters are not split) or any async iterable of text chunks
+async function* readCsvRows(stream) {
+  let queue = [];
+  const parser = createCsvParser((fields, line, error) => queue.push({ line, fields, error }));
+  for await (const chunk of stream) {
+    parser.push(String(chunk));
+    const ready = queue;
+    queue = [];
+    yield* ready;
+  }
+  parser.end();
+  yield* queue;
+}
+
+// { line, record, error } per data row, keyed by the header row. Rows whose
+// field count differs from the header still come through, with an error.
+async function* readCsvRecords(stream) {
+  let keys = null;
+  for await (const { line, fields, error } of readCsvRows(stream)) {
+    if (!keys) {
+      keys = headerKeys(fields);
+      continue;
+    }
+    const record = Object.fromEntries(keys.map((key, index) => [key, fields[index] ?? '']));
+    const countError = fields.length === keys.length
+      ? null
+      : `expected ${keys.length} fields, found ${fields.length}`;
+    yield { line, record, error: error || countError };
+  }
+}
+
+function formatCsvValue(value) {
+  if (value === null || value === undefined) return '';
+  const str = String(value);
+  return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+}
+
+function toCsv(rows, columns) {
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => formatCsvValue(row[column])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+module.exports = {
+  createCsvParser,
+  parseCsvRows,
+  parseCsv,
+  readCsvRows,
+  readCsvRecords,
+  toCsv
+};
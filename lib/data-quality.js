@@ -0,0 +1,192 @@
+/*
+ * Data-quality audit for converted season shards.
+ *
+ * The converters only log coverage percentages, so this module re-reads the
+ * raw shard rows (legacy PascalCase or canonical camelCase) and reports rows
+ * that disagree with themselves or with each other:
+ *
+ *   duplicateRow          the same Id + LineProvider appears more than once
+ *   scoreMismatch         HomeScore/AwayScore differ from HomePoints/AwayPoints
+ *   spreadMismatch        Spread does not match FormattedSpread, or the
+ *                         formatted team names neither side
+ *   impossibleMoneyline   |price| under 100, two plus-money sides, or a pair
+ *                         implying less than 100% or more than MAX_MONEYLINE_TOTAL
+ *   missingConference     HomeConference or AwayConference is empty and the
+ *                         team registry has no conference to fill in on load
+ *   teamNameMismatch      HomeTeam_x/AwayTeam_x differ from HomeTeam_y/AwayTeam_y
+ *                         and the team registry does not list them as one team
+ *
+ * auditShards() returns a machine-readable report: per-file row counts, a
+ * count per check, and one issue per problem with its file, row index and
+ * the values involved.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SPORTS, normalizeGame } = require('./game-schema');
+const { discoverShards } = require('./data-store');
+const { spreadFromFormatted } = require('./grading');
+const { impliedProbability } = require('./odds');
+const { REGISTRY_FILE, loadTeamRegistry } = require('./team-registry');
+
+const CHECKS = [
+  'duplicateRow',
+  'scoreMismatch',
+  'spreadMismatch',
+  'impossibleMoneyline',
+  'missingConference',
+  'teamNameMismatch'
+];
+
+// Two-way moneylines implying more than this are treated as typos
+const MAX_MONEYLINE_TOTAL = 1.25;
+
+function present(value) {
+  return value !== null && value !== undefined && value !== '';
+}
+
+function sameNumber(a, b) {
+  return Number(a) === Number(b);
+}
+
+function sameName(a, b) {
+  return String(a).trim().toLowerCase() === String(b).trim().toLowerCase();
+}
+
+function checkScores(row, report) {
+  [['HomeScore', 'HomePoints'], ['AwayScore', 'AwayPoints']].forEach(([score, points]) => {
+    if (present(row[score]) && present(row[points]) && !sameNumber(row[score], row[points])) {
+      report('scoreMismatch', `${score} ${row[score]} vs ${points} ${row[points]}`, { [score]: row[score], [points]: row[points] });
+    }
+  });
+}
+
+// Spellings the registry resolves to the same team are not mismatches
+function sameTeam(a, b, game, registry) {
+  if (sameName(a, b)) return true;
+  if (!registry) return false;
+  const first = registry.resolveTeam(game.sport, a, game.season);
+  const second = registry.resolveTeam(game.sport, b, game.season);
+  return Boolean(first && second && first.name === second.name);
+}
+
+function checkTeamNames(row, game, registry, report) {
+  [['HomeTeam_x', 'HomeTeam_y'], ['AwayTeam_x', 'AwayTeam_y']].forEach(([x, y]) => {
+    if (present(row[x]) && present(row[y]) && !sameTeam(row[x], row[y], game, registry)) {
+      report('teamNameMismatch', `${x} "${row[x]}" vs ${y} "${row[y]}"`, { [x]: row[x], [y]: row[y] });
+    }
+  });
+}
+
+// FormattedSpread may use either column's team names
+function checkSpread(row, game, report) {
+  if (!game.formattedSpread) return;
+  const fromFormatted = spreadFromFormatted(game) ?? spreadFromFormatted({
+    formattedSpread: game.formattedSpread,
+    homeTeam: row.HomeTeam_y,
+    awayTeam: row.AwayTeam_y
+  });
+  const values = { spread: game.spread, formattedSpread: game.formattedSpread };
+  if (fromFormatted === null) {
+    report('spreadMismatch', `FormattedSpread "${game.formattedSpread}" names neither team`, values);
+  } else if (Number.isFinite(game.spread) && fromFormatted !== game.spread) {
+    report('spreadMismatch', `Spread ${game.spread} vs FormattedSpread "${game.formattedSpread}" (${fromFormatted})`, values);
+  }
+}
+
+function checkMoneylines(game, report) {
+  const { homeMoneyline: home, awayMoneyline: away } = game;
+  if (!Number.isFinite(home) || !Number.isFinite(away)) return;
+  const values = { homeMoneyline: home, awayMoneyline: away };
+  if (Math.abs(home) < 100 || Math.abs(away) < 100) {
+    report('impossibleMoneyline', `American odds must be at least 100 either way (${home} / ${away})`, values);
+    return;
+  }
+  if (home > 0 && away > 0) {
+    report('impossibleMoneyline', `Both sides are plus money (${home} / ${away})`, values);
+    return;
+  }
+  const total = impliedProbability(home) + impliedProbability(away);
+  if (total < 1 || total > MAX_MONEYLINE_TOTAL) {
+    report('impossibleMoneyline', `Prices imply ${(total * 100).toFixed(1)}% (${home} / ${away})`, values);
+  }
+}
+
+function checkConferences(game, registry, report) {
+  ['homeConference', 'awayConference'].forEach(key => {
+    if (!game[key]) {
+      const team = key === 'homeConference' ? game.homeTeam : game.awayTeam;
+      // lib/data-store.js fills these from the registry when the shard loads
+      const resolved = registry && registry.resolveTeam(game.sport, team, game.season);
+      if (resolved && resolved.conference) return;
+      report('missingConference', `No ${key} for ${team}`, { team });
+    }
+  });
+}
+
+// Audit one shard's raw rows; `issues` and `counts` are shared across shards.
+// `registry` (lib/team-registry.js) is optional.
+function auditRows(rows, { sport, file, registry = null }, issues, counts) {
+  const seen = new Map();
+  rows.forEach((row, index) => {
+    const game = normalizeGame(row, { sport });
+    const report = (check, detail, values) => {
+      counts[check] += 1;
+      issues.push({ check, sport, file, index, id: game.id, lineProvider: game.lineProvider, detail, values });
+    };
+
+    const key = `${game.id}|${String(game.lineProvider || '').toLowerCase()}`;
+    if (seen.has(key)) {
+      report('duplicateRow', `Same Id and LineProvider as row ${seen.get(key)}`, { firstIndex: seen.get(key) });
+    } else {
+      seen.set(key, index);
+    }
+    checkScores(row, report);
+    checkTeamNames(row, game, registry, report);
+    checkSpread(row, game, report);
+    checkMoneylines(game, report);
+    checkConferences(game, registry, report);
+  });
+}
+
+// `options.sports` defaults to every sport; `options.seasons` to every shard;
+// `options.registry` to data/team-registry.json when it exists
+function auditShards(options = {}) {
+  const sports = options.sports && options.sports.length ? options.sports : SPORTS;
+  const registry = options.registry !== undefined
+    ? options.registry
+    : (fs.existsSync(REGISTRY_FILE) ? loadTeamRegistry() : null);
+  const seasons = (options.seasons || []).map(Number).filter(Number.isFinite);
+  const counts = Object.fromEntries(CHECKS.map(check => [check, 0]));
+  const issues = [];
+  const files = [];
+
+  sports.forEach(sport => {
+    discoverShards(sport)
+      .filter(shard => !seasons.length || seasons.includes(shard.season))
+      .forEach(shard => {
+        const rows = JSON.parse(fs.readFileSync(shard.file, 'utf8'));
+        const file = path.basename(shard.file);
+        const before = issues.length;
+        auditRows(rows, { sport, file, registry }, issues, counts);
+        files.push({ sport, season: shard.season, file, rows: rows.length, issues: issues.length - before });
+      });
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    sports,
+    files,
+    rows: files.reduce((acc, entry) => acc + entry.rows, 0),
+    issueCount: issues.length,
+    counts,
+    issues
+  };
+}
+
+module.exports = {
+  CHECKS,
+  MAX_MONEYLINE_TOTAL,
+  auditRows,
+  auditShards
+};
@@ -0,0 +1,189 @@
+/*
+ * Season-sharded game store for the API.
+ *
+ * The converters write one JSON file per season (`data/season-YYYY.json` for
+ * NCAAF, `data/nfl-season-YYYY.json` for NFL). This module discovers those
+ * shards, loads only the seasons a request asks for, and keeps the parsed and
+ * normalized games in memory until the file's mtime changes. Each loaded shard
+ * carries lookup indexes by team, conference, week, book and playoff round so
+ * filtered queries do not have to scan every row. NFL weeks and playoff
+ * rounds come from lib/nfl-weeks.js when a shard is loaded, so shards written
+ * with an older week numbering or without a `round` read like new ones.
+ * Team names and conferences go through the team registry on load as well,
+ * so rows converted before the registry knew a team (relocated NFL
+ * franchises) still get their conference, and NFL `conferenceGame` is
+ * derived from the two conferences.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { normalizeGame } = require('./game-schema');
+const { resolveNflWeeks } = require('./nfl-weeks');
+const { REGISTRY_FILE, loadTeamRegistry, applyTeamRegistry } = require('./team-registry');
+
+const DATA_DIR = path.join(__dirname, '..', 'data');
+
+const SHARD_PATTERNS = {
+  ncaaf: /^season-(\d{4})\.json$/,
+  nfl: /^nfl-season-(\d{4})\.json$/
+};
+
+const INDEX_KEYS = ['team', 'conference', 'week', 'book', 'round'];
+
+// file path -> { mtimeMs, games, index }
+const shardCache = new Map();
+
+// undefined until the first shard loads; null when there is no registry file
+let teamRegistry;
+
+function resolveSport(sport) {
+  const normalized = String(sport || 'ncaaf').toLowerCase();
+  if (!SHARD_PATTERNS[normalized]) {
+    throw new Error(`Unknown sport: ${sport}`);
+  }
+  return normalized;
+}
+
+function indexKey(value) {
+  if (value === null || value === undefined || value === '') return null;
+  return String(value).trim().toLowerCase();
+}
+
+// List the season shards on disk for a sport, oldest season first
+function discoverShards(sport) {
+  const pattern = SHARD_PATTERNS[resolveSport(sport)];
+  if (!fs.existsSync(DATA_DIR)) return [];
+  return fs.readdirSync(DATA_DIR)
+    .map(name => {
+      const match = name.match(pattern);
+      return match ? { season: Number(match[1]), file: path.join(DATA_DIR, name) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.season - b.season);
+}
+
+// File name a converter writes a season to (the inverse of SHARD_PATTERNS)
+function shardFileName(sport, season) {
+  return `${resolveSport(sport) === 'nfl' ? 'nfl-season' : 'season'}-${season}.json`;
+}
+
+function listSeasons(sport) {
+  return discoverShards(sport).map(shard => shard.season);
+}
+
+function addToIndex(map, key, position) {
+  if (key === null) return;
+  if (!map.has(key)) map.set(key, []);
+  const positions = map.get(key);
+  if (positions[positions.length - 1] !== position) positions.push(position);
+}
+
+function buildIndex(games) {
+  const index = {};
+  INDEX_KEYS.forEach(key => { index[key] = new Map(); });
+  games.forEach((game, position) => {
+    addToIndex(index.team, indexKey(game.homeTeam), position);
+    addToIndex(index.team, indexKey(game.awayTeam), position);
+    addToIndex(index.conference, indexKey(game.homeConference), position);
+    addToIndex(index.conference, indexKey(game.awayConference), position);
+    addToIndex(index.week, indexKey(game.week), position);
+    addToIndex(index.book, indexKey(game.lineProvider), position);
+    addToIndex(index.round, indexKey(game.round), position);
+  });
+  return index;
+}
+
+// NFL weeks and playoff rounds from the game dates, replacing whatever the
+// shard was written with
+function applyNflWeeks(games) {
+  const weeks = resolveNflWeeks(games);
+  games.forEach((game, position) => {
+    const { week, round } = weeks[position];
+    if (week === null) return;
+    game.week = week;
+    if (game.playoffGame) game.round = round;
+  });
+}
+
+function currentRegistry() {
+  if (teamRegistry === undefined) teamRegistry = fs.existsSync(REGISTRY_FILE) ? loadTeamRegistry() : null;
+  return teamRegistry;
+}
+
+// "AFC East" -> "AFC"
+function conferenceName(conference) {
+  return String(conference || '').split(' ')[0];
+}
+
+// NFL rows leave conferenceGame empty; same AFC/NFC counts as a conference game
+function fillConferenceGames(games) {
+  games.forEach(game => {
+    if (game.conferenceGame !== null || !game.homeConference || !game.awayConference) return;
+    game.conferenceGame = conferenceName(game.homeConference) === conferenceName(game.awayConference);
+  });
+}
+
+function loadShard(sport, shard) {
+  const { mtimeMs } = fs.statSync(shard.file);
+  const cached = shardCache.get(shard.file);
+  if (cached && cached.mtimeMs === mtimeMs) return cached;
+
+  const rows = JSON.parse(fs.readFileSync(shard.file, 'utf8'));
+  const games = rows.map(row => normalizeGame(row, { sport }));
+  const registry = currentRegistry();
+  if (registry) games.forEach(game => applyTeamRegistry(game, registry));
+  if (sport === 'nfl') {
+    applyNflWeeks(games);
+    fillConferenceGames(games);
+  }
+  const entry = { season: shard.season, mtimeMs, games, index: buildIndex(games) };
+  shardCache.set(shard.file, entry);
+  return entry;
+}
+
+// Load the requested seasons (all of them when `seasons` is empty). A season
+// that is not a number matches no shard rather than being ignored.
+function loadShards(sport, seasons) {
+  const normalized = resolveSport(sport);
+  const wanted = (seasons || []).map(Number);
+  return discoverShards(normalized)
+    .filter(shard => !wanted.length || wanted.includes(shard.season))
+    .map(shard => loadShard(normalized, shard));
+}
+
+function loadGames(sport, seasons) {
+  return loadShards(sport, seasons).flatMap(entry => entry.games);
+}
+
+// Use the smallest matching index bucket, then check the remaining filters row by row
+function queryShard(entry, filters) {
+  const active = INDEX_KEYS.filter(key => indexKey(filters[key]) !== null);
+  if (!active.length) return entry.games;
+
+  const buckets = active.map(key => entry.index[key].get(indexKey(filters[key])) || []);
+  const smallest = buckets.reduce((best, bucket) => (bucket.length < best.length ? bucket : best));
+  const others = buckets.filter(bucket => bucket !== smallest).map(bucket => new Set(bucket));
+
+  return smallest
+    .filter(position => others.every(set => set.has(position)))
+    .map(position => entry.games[position]);
+}
+
+// Filters: seasons (array), team, conference, week, book, round. Matching is case-insensitive.
+function queryGames(sport, filters = {}) {
+  return loadShards(sport, filters.seasons).flatMap(entry => queryShard(entry, filters));
+}
+
+function clearCache() {
+  shardCache.clear();
+}
+
+module.exports = {
+  DATA_DIR,
+  discoverShards,
+  shardFileName,
+  listSeasons,
+  loadGames,
+  queryGames,
+  clearCache
+};
@@ -0,0 +1,192 @@
+/*
+ * Model-vs-market edge finder for upcoming games.
+ *
+ * Every game that is not final gets a fair spread and win probability from
+ * the Elo ratings (lib/ratings.js) and a fair total from each team's recent
+ * scoring: points scored and allowed over its last `recentGames` finals,
+ * shrunk toward the league average. Final margins and totals are treated as
+ * normal around those projections (`marginSd` / `totalSd`, close to the
+ * historical spread of results against the closing number), counted in whole
+ * points so integer lines can push. Each book's spread, total and moneyline
+ * is then priced at that book's odds (-110 when the book did not publish a
+ * spread or total price) and kept when its expected value clears `minEv`.
+ */
+
+const { buildRatings } = require('./ratings');
+const { consolidateGames } = require('./consolidate');
+const { STANDARD_PRICE, expectedValue, impliedProbability } = require('./odds');
+
+const EDGE_SETTINGS = {
+  ncaaf: { marginSd: 15.5, totalSd: 16, recentGames: 10, shrinkGames: 3 },
+  nfl: { marginSd: 13, totalSd: 13, recentGames: 10, shrinkGames: 3 }
+};
+
+// Abramowitz-Stegun 7.1.26 approximation of the standard normal CDF
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// Chance a whole-point result lands above, on, or below `threshold`
+function outcomeProbabilities(mean, sd, threshold) {
+  const cdf = value => normalCdf((value - mean) / sd);
+  if (Number.isInteger(threshold)) {
+    const below = cdf(threshold - 0.5);
+    const push = cdf(threshold + 0.5) - below;
+    return { above: 1 - below - push, push, below };
+  }
+  const below = cdf(Math.floor(threshold) + 0.5);
+  return { above: 1 - below, push: 0, below };
+}
+
+// Points scored/allowed per team over its most recent finals
+function buildScoringModel(ratedGames, settings) {
+  const history = new Map();
+  const seasonPoints = new Map();
+  const push = (team, scored, allowed) => {
+    if (!history.has(team)) history.set(team, []);
+    const games = history.get(team);
+    games.push({ scored, allowed });
+    if (games.length > settings.recentGames) games.shift();
+  };
+
+  ratedGames.filter(game => game.completed).forEach(game => {
+    push(game.homeTeam, game.homeScore, game.awayScore);
+    push(game.awayTeam, game.awayScore, game.homeScore);
+    const totals = seasonPoints.get(game.season) || { points: 0, teamGames: 0 };
+    totals.points += game.homeScore + game.awayScore;
+    totals.teamGames += 2;
+    seasonPoints.set(game.season, totals);
+  });
+
+  const latest = Array.from(seasonPoints.keys()).sort((a, b) => b - a)[0];
+  const league = latest === undefined ? { points: 0, teamGames: 0 } : seasonPoints.get(latest);
+  const leagueMean = league.teamGames ? league.points / league.teamGames : 0;
+
+  return team => {
+    const games = history.get(team) || [];
+    const shrink = value => (value + leagueMean * settings.shrinkGames) / (games.length + settings.shrinkGames);
+    return {
+      games: games.length,
+      scored: shrink(games.reduce((acc, game) => acc + game.scored, 0)),
+      allowed: shrink(games.reduce((acc, game) => acc + game.allowed, 0))
+    };
+  };
+}
+
+function buildPlay(projection, row, market, side, line, price, fairLine, outcome) {
+  const assumedPrice = !Number.isFinite(price);
+  const odds = assumedPrice ? STANDARD_PRICE : price;
+  return {
+    id: projection.id,
+    startDate: projection.startDate,
+    season: projection.season,
+    week: projection.week,
+    homeTeam: projection.homeTeam,
+    awayTeam: projection.awayTeam,
+    book: row.lineProvider,
+    market,
+    side,
+    line,
+    price: odds,
+    assumedPrice,
+    fairLine,
+    probability: outcome.win,
+    pushProbability: outcome.push,
+    impliedProbability: impliedProbability(odds),
+    ev: expectedValue(outcome.win, odds, outcome.push)
+  };
+}
+
+// Every market one book row offers, priced against the projection
+function playsForRow(projection, row, settings) {
+  const plays = [];
+  const homeMargin = -projection.fairSpread;
+
+  if (Number.isFinite(row.spread)) {
+    const odds = outcomeProbabilities(homeMargin, settings.marginSd, -row.spread);
+    plays.push(buildPlay(projection, row, 'spread', 'home', row.spread, row.homeLineOddsClose, projection.fairSpread,
+      { win: odds.above, push: odds.push }));
+    plays.push(buildPlay(projection, row, 'spread', 'away', -row.spread, row.awayLineOddsClose, -projection.fairSpread,
+      { win: odds.below, push: odds.push }));
+  }
+  if (Number.isFinite(row.overUnder)) {
+    const odds = outcomeProbabilities(projection.fairTotal, settings.totalSd, row.overUnder);
+    plays.push(buildPlay(projection, row, 'total', 'over', row.overUnder, row.totalScoreOverClose, projection.fairTotal,
+      { win: odds.above, push: odds.push }));
+    plays.push(buildPlay(projection, row, 'total', 'under', row.overUnder, row.totalScoreUnderClose, projection.fairTotal,
+      { win: odds.below, push: odds.push }));
+  }
+  if (Number.isFinite(row.homeMoneyline)) {
+    plays.push(buildPlay(projection, row, 'moneyline', 'home', null, row.homeMoneyline, null,
+      { win: projection.homeWinProbability, push: 0 }));
+  }
+  if (Number.isFinite(row.awayMoneyline)) {
+    plays.push(buildPlay(projection, row, 'moneyline', 'away', null, row.awayMoneyline, null,
+      { win: 1 - projection.homeWinProbability, push: 0 }));
+  }
+  return plays;
+}
+
+// `games` are canonical line rows for one sport, all seasons (ratings need the history)
+function findEdges(games, sport, options = {}) {
+  const settings = EDGE_SETTINGS[sport] || EDGE_SETTINGS.ncaaf;
+  const parsedMinEv = parseFloat(options.minEv);
+  const minEv = Number.isFinite(parsedMinEv) ? parsedMinEv : 0;
+  const book = options.book ? String(options.book).toLowerCase() : null;
+
+  const ratings = buildRatings(games, sport);
+  const scoring = buildScoringModel(ratings.games, settings);
+  const rated = new Map(ratings.games.filter(game => !game.completed).map(game => [String(game.id), game]));
+
+  const upcomingRows = games.filter(game => rated.has(String(game.id)));
+  const consensus = new Map(consolidateGames(upcomingRows).map(game => [String(game.id), game.consensus]));
+  const projections = Array.from(rated.values()).map(game => {
+    const home = scoring(game.homeTeam);
+    const away = scoring(game.awayTeam);
+    const projectedHome = (home.scored + away.allowed) / 2;
+    const projectedAway = (away.scored + home.allowed) / 2;
+    const market = consensus.get(String(game.id)) || {};
+    return {
+      id: game.id,
+      season: game.season,
+      week: game.week,
+      startDate: game.startDate,
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam,
+      neutralSite: game.neutralSite,
+      fairSpread: game.modelSpread,
+      fairTotal: projectedHome + projectedAway,
+      projectedHomeScore: projectedHome,
+      projectedAwayScore: projectedAway,
+      homeWinProbability: game.homeWinProbability,
+      sample: { home: home.games, away: away.games },
+      marketSpread: Number.isFinite(market.spread) ? market.spread : null,
+      marketTotal: Number.isFinite(market.overUnder) ? market.overUnder : null
+    };
+  });
+
+  const byId = new Map(projections.map(projection => [String(projection.id), projection]));
+  const plays = upcomingRows
+    .filter(row => !book || String(row.lineProvider || '').toLowerCase() === book)
+    .flatMap(row => playsForRow(byId.get(String(row.id)), row, settings))
+    .filter(play => play.ev !== null && play.ev > minEv)
+    .sort((a, b) => b.ev - a.ev);
+
+  return {
+    games: projections.length,
+    settings,
+    minEv,
+    projections: projections.sort((a, b) => new Date(a.startDate || 0) - new Date(b.startDate || 0)),
+    plays
+  };
+}
+
+module.exports = {
+  EDGE_SETTINGS,
+  normalCdf,
+  outcomeProbabilities,
+  findEdges
+};
@@ -0,0 +1,303 @@
+/*
+ * Query options for /api/games: filters, sorting, pagination and field projection.
+ *
+ * parseGameQuery() turns the URL parameters into a query and a list of
+ * problems. The team, conference, week, book and round filters go through the
+ * data-store indexes; everything else is checked row by row:
+ *
+ *   minWeek / maxWeek, from / to     week range and kickoff date range (YYYY-MM-DD, inclusive)
+ *   seasonType                       regular or postseason
+ *   completed, neutralSite,          true or false
+ *   conferenceGame
+ *   classification                   fbs or fcs; matches when either team is in it
+ *   minSpread / maxSpread,           home spread and total ranges, read from the
+ *   minTotal / maxTotal              consensus line in the consolidated view
+ *
+ * `sort` is a field name, descending when prefixed with "-" (default
+ * -startDate, newest first). Any scalar game field works, plus `date` and
+ * `total` as shorthands and `lineMove` / `totalMove` for close minus open.
+ * Missing values sort last either way, and ties fall back to id and book so
+ * the order is stable.
+ *
+ * Pages are `limit` rows (default 500, at most MAX_LIMIT) from `offset`, or
+ * after `cursor`, the opaque nextCursor of the previous page. A cursor
+ * remembers the last row rather than a position, so it keeps its place when
+ * rows are added to a season. `fields` is a comma-separated list of the
+ * top-level keys to return.
+ */
+
+const { GAME_FIELDS, SEASON_TYPES, toNumber, toBoolean } = require('./game-schema');
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 5000;
+const DEFAULT_SORT = '-startDate';
+const CLASSIFICATIONS = ['fbs', 'fcs'];
+
+const INDEX_FILTERS = ['team', 'conference', 'week', 'book'];
+const BOOLEAN_FILTERS = ['completed', 'neutralSite', 'conferenceGame'];
+// Filters on game-level fields, safe to run on book rows before they are consolidated
+const GAME_FILTERS = ['week', 'date', 'seasonType', 'classification', ...BOOLEAN_FILTERS];
+// Filters on the line itself, run on consolidated games after the consensus is built
+const LINE_FILTERS = ['spread', 'total'];
+
+const SORT_ALIASES = { date: 'startDate', total: 'overUnder' };
+const DERIVED_SORTS = {
+  lineMove: game => difference(lineValue(game, 'spread'), lineValue(game, 'openingSpread')),
+  totalMove: game => difference(lineValue(game, 'overUnder'), lineValue(game, 'openingOverUnder'))
+};
+const SORT_FIELDS = [
+  ...GAME_FIELDS.map(field => field.key),
+  ...Object.keys(SORT_ALIASES),
+  ...Object.keys(DERIVED_SORTS)
+];
+
+function difference(a, b) {
+  return Number.isFinite(a) && Number.isFinite(b) ? a - b : null;
+}
+
+// A line field from a book row, or from the consensus of a consolidated game
+function lineValue(game, key) {
+  if (game.consensus && game.consensus[key] !== undefined) return game.consensus[key];
+  return game[key] ?? null;
+}
+
+function readRange(searchParams, name, errors) {
+  const key = name.charAt(0).toUpperCase() + name.slice(1);
+  const range = {};
+  ['min', 'max'].forEach(bound => {
+    const text = searchParams.get(`${bound}${key}`);
+    if (text === null || text === '') return;
+    const value = toNumber(text);
+    if (value === null) errors.push(`${bound}${key} must be a number`);
+    else range[bound] = value;
+  });
+  if (range.min !== undefined && range.max !== undefined && range.min > range.max) {
+    errors.push(`min${key} must not be above max${key}`);
+  }
+  return Object.keys(range).length ? { min: range.min ?? null, max: range.max ?? null } : null;
+}
+
+// ISO start of the day, or of the day after for the inclusive `to` bound
+function readDay(searchParams, name, errors, nextDay = false) {
+  const text = searchParams.get(name);
+  if (!text) return null;
+  const date = new Date(/^\d{4}-\d{2}-\d{2}$/.test(text) ? `${text}T00:00:00Z` : text);
+  if (Number.isNaN(date.getTime())) {
+    errors.push(`${name} must be a date (YYYY-MM-DD)`);
+    return null;
+  }
+  if (nextDay && /^\d{4}-\d{2}-\d{2}$/.test(text)) date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString();
+}
+
+function parseSort(text, errors) {
+  const value = String(text || DEFAULT_SORT).trim();
+  const descending = value.startsWith('-');
+  const name = descending ? value.slice(1) : value;
+  if (!SORT_FIELDS.includes(name)) {
+    errors.push(`Unknown sort field: ${name}`);
+    return null;
+  }
+  return { field: name, key: SORT_ALIASES[name] || name, descending };
+}
+
+function encodeCursor(sort, values) {
+  return Buffer.from(JSON.stringify({ sort, after: values })).toString('base64url');
+}
+
+function decodeCursor(text) {
+  try {
+    const cursor = JSON.parse(Buffer.from(text, 'base64url').toString('utf8'));
+    return cursor && typeof cursor.sort === 'string' && Array.isArray(cursor.after) && cursor.after.length === 3
+      ? cursor
+      : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Returns { query, errors }; `query` is only usable when `errors` is empty
+function parseGameQuery(searchParams) {
+  const errors = [];
+  const filters = {};
+
+  const seasons = String(searchParams.get('season') || '').split(',').map(s => s.trim()).filter(Boolean);
+  seasons.forEach(season => {
+    if (!/^\d{4}$/.test(season)) errors.push(`season must be a year: ${season}`);
+  });
+
+  const index = {};
+  INDEX_FILTERS.forEach(key => { index[key] = searchParams.get(key); });
+
+  const week = readRange(searchParams, 'week', errors);
+  if (week) filters.week = week;
+  ['spread', 'total'].forEach(key => {
+    const range = readRange(searchParams, key, errors);
+    if (range) filters[key] = range;
+  });
+  const from = readDay(searchParams, 'from', errors);
+  const to = readDay(searchParams, 'to', errors, true);
+  if (from || to) filters.date = { from, to };
+
+  const seasonType = String(searchParams.get('seasonType') || '').trim().toLowerCase();
+  if (seasonType) {
+    if (!SEASON_TYPES.includes(seasonType)) errors.push(`seasonType must be one of ${SEASON_TYPES.join(', ')}`);
+    else filters.seasonType = seasonType;
+  }
+  BOOLEAN_FILTERS.forEach(key => {
+    const text = searchParams.get(key);
+    if (text === null || text === '') return;
+    const flag = toBoolean(text);
+    if (flag === null) errors.push(`${key} must be true or false`);
+    else filters[key] = flag;
+  });
+  const classification = String(searchParams.get('classification') || '').trim().toLowerCase();
+  if (classification) {
+    if (!CLASSIFICATIONS.includes(classification)) errors.push(`classification must be one of ${CLASSIFICATIONS.join(', ')}`);
+    else filters.classification = classification;
+  }
+
+  const sort = parseSort(searchParams.get('sort'), errors);
+
+  const limitText = searchParams.get('limit');
+  const limit = limitText ? toNumber(limitText) : DEFAULT_LIMIT;
+  if (!Number.isInteger(limit) || limit < 1) errors.push('limit must be a positive whole number');
+
+  const offsetText = searchParams.get('offset');
+  const offset = offsetText ? toNumber(offsetText) : 0;
+  if (!Number.isInteger(offset) || offset < 0) errors.push('offset must be zero or a positive whole number');
+
+  const cursorText = searchParams.get('cursor');
+  let cursor = null;
+  if (cursorText) {
+    cursor = decodeCursor(cursorText);
+    if (!cursor) errors.push('cursor is not valid');
+    else if (sort && cursor.sort !== `${sort.descending ? '-' : ''}${sort.field}`) errors.push('cursor belongs to a different sort');
+    if (offsetText) errors.push('use either cursor or offset, not both');
+  }
+
+  const fieldsText = searchParams.get('fields');
+  const fields = fieldsText ? fieldsText.split(',').map(field => field.trim()).filter(Boolean) : null;
+
+  return {
+    query: {
+      seasons,
+      index,
+      filters,
+      sort,
+      limit: Math.min(limit, MAX_LIMIT),
+      offset,
+      cursor,
+      fields
+    },
+    errors
+  };
+}
+
+function inRange(value, range) {
+  if (!Number.isFinite(value)) return false;
+  return (range.min === null || value >= range.min) && (range.max === null || value <= range.max);
+}
+
+const FILTER_CHECKS = {
+  week: (game, range) => inRange(game.week, range),
+  date: (game, { from, to }) => (
+    Boolean(game.startDate) && (!from || game.startDate >= from) && (!to || game.startDate < to)
+  ),
+  seasonType: (game, value) => game.seasonType === value,
+  classification: (game, value) => (
+    [game.homeClassification, game.awayClassification].some(name => String(name || '').toLowerCase() === value)
+  ),
+  completed: (game, value) => game.completed === value,
+  neutralSite: (game, value) => game.neutralSite === value,
+  conferenceGame: (game, value) => game.conferenceGame === value,
+  spread: (game, range) => inRange(lineValue(game, 'spread'), range),
+  total: (game, range) => inRange(lineValue(game, 'overUnder'), range)
+};
+
+// Keep the games matching the row-level filters named in `names`
+function filterGames(games, filters, names) {
+  const active = names.filter(name => filters[name] !== undefined);
+  if (!active.length) return games;
+  return games.filter(game => active.every(name => FILTER_CHECKS[name](game, filters[name])));
+}
+
+function sortValue(game, sort) {
+  if (DERIVED_SORTS[sort.key]) return DERIVED_SORTS[sort.key](game);
+  const value = lineValue(game, sort.key);
+  return value === '' ? null : value;
+}
+
+function compareValues(a, b) {
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  if (typeof a === 'boolean' && typeof b === 'boolean') return Number(a) - Number(b);
+  const left = String(a);
+  const right = String(b);
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+// [sort value, id, book]: the position a row holds in the sorted list
+function sortTuple(game, sort) {
+  return [sortValue(game, sort), game.id ?? null, game.lineProvider ?? null];
+}
+
+function compareTuples(a, b, sort) {
+  const [valueA, valueB] = [a[0], b[0]];
+  if (valueA === null || valueB === null) {
+    if (valueA !== valueB) return valueA === null ? 1 : -1;
+  } else {
+    const order = compareValues(valueA, valueB);
+    if (order) return sort.descending ? -order : order;
+  }
+  for (const i of [1, 2]) {
+    if (a[i] === b[i]) continue;
+    if (a[i] === null) return 1;
+    if (b[i] === null) return -1;
+    const order = compareValues(a[i], b[i]);
+    if (order) return order;
+  }
+  return 0;
+}
+
+// Sort, then cut the requested page; `nextCursor` is null on the last page
+function paginateGames(games, query) {
+  const { sort, limit, cursor } = query;
+  const rows = games.map(game => ({ game, tuple: sortTuple(game, sort) }));
+  rows.sort((a, b) => compareTuples(a.tuple, b.tuple, sort));
+
+  let start = query.offset;
+  if (cursor) {
+    const after = rows.findIndex(row => compareTuples(row.tuple, cursor.after, sort) > 0);
+    start = after === -1 ? rows.length : after;
+  }
+  const page = rows.slice(start, start + limit);
+  const last = page[page.length - 1];
+  const hasMore = start + page.length < rows.length;
+  return {
+    total: rows.length,
+    offset: start,
+    games: page.map(row => row.game),
+    nextCursor: hasMore && last ? encodeCursor(`${sort.descending ? '-' : ''}${sort.field}`, last.tuple) : null
+  };
+}
+
+// Keep only the requested top-level keys, in the order they were asked for
+function projectFields(row, fields) {
+  if (!fields) return row;
+  const projected = {};
+  fields.forEach(field => {
+    if (row[field] !== undefined) projected[field] = row[field];
+  });
+  return projected;
+}
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  GAME_FILTERS,
+  LINE_FILTERS,
+  parseGameQuery,
+  filterGames,
+  paginateGames,
+  projectFields
+};
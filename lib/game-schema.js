@@ -0,0 +1,221 @@
+/*
+ * Canonical game schema shared by the converters and the API.
+ *
+ * Every record written by a converter and every record returned by an API
+ * route uses the camelCase shape described by GAME_FIELDS, so NCAAF and NFL
+ * games look identical to the dashboard. normalizeGame() accepts the legacy
+ * PascalCase shard rows (HomeTeam_x / HomeTeam_y, HomePoints, NeutralVenue,
+ * ...) as well as records that are already canonical, so it is safe to run it
+ * more than once on the same data.
+ */
+
+const SPORTS = ['ncaaf', 'nfl'];
+const SEASON_TYPES = ['regular', 'postseason'];
+
+const GAME_FIELDS = [
+  { key: 'id', type: 'id', required: true, aliases: ['Id', 'ID'] },
+  { key: 'sport', type: 'sport', required: true },
+  { key: 'season', type: 'integer', required: true, aliases: ['Season'] },
+  { key: 'week', type: 'integer', aliases: ['Week'] },
+  { key: 'seasonType', type: 'seasonType', aliases: ['SeasonType'] },
+  { key: 'round', type: 'string', aliases: ['Round'] },
+  { key: 'startDate', type: 'date', required: true, aliases: ['StartDate'] },
+  { key: 'completed', type: 'boolean', aliases: ['Completed'] },
+  { key: 'homeTeam', type: 'string', required: true, aliases: ['HomeTeam', 'HomeTeam_x', 'HomeTeam_y'] },
+  { key: 'awayTeam', type: 'string', required: true, aliases: ['AwayTeam', 'AwayTeam_x', 'AwayTeam_y'] },
+  { key: 'homeConference', type: 'string', aliases: ['HomeConference'] },
+  { key: 'awayConference', type: 'string', aliases: ['AwayConference'] },
+  { key: 'homeClassification', type: 'string', aliases: ['HomeClassification'] },
+  { key: 'awayClassification', type: 'string', aliases: ['AwayClassification'] },
+  { key: 'homeScore', type: 'number', aliases: ['HomeScore', 'HomePoints'] },
+  { key: 'awayScore', type: 'number', aliases: ['AwayScore', 'AwayPoints'] },
+  { key: 'neutralSite', type: 'boolean', default: false, aliases: ['NeutralSite', 'NeutralVenue'] },
+  { key: 'conferenceGame', type: 'boolean', aliases: ['ConferenceGame'] },
+  { key: 'playoffGame', type: 'boolean', aliases: ['PlayoffGame'] },
+  { key: 'notes', type: 'string', aliases: ['Notes'] },
+  { key: 'lineProvider', type: 'string', aliases: ['LineProvider'] },
+  { key: 'formattedSpread', type: 'string', aliases: ['FormattedSpread'] },
+  { key: 'spread', type: 'number', aliases: ['Spread'] },
+  { key: 'overUnder', type: 'number', aliases: ['OverUnder'] },
+  { key: 'openingSpread', type: 'number', aliases: ['OpeningSpread'] },
+  { key: 'openingOverUnder', type: 'number', aliases: ['OpeningOverUnder'] },
+  { key: 'homeMoneyline', type: 'number', aliases: ['HomeMoneyline'] },
+  { key: 'awayMoneyline', type: 'number', aliases: ['AwayMoneyline'] },
+  ...marketHistoryFields()
+];
+
+// Open/min/max/close snapshots only the NFL workbook provides today
+function marketHistoryFields() {
+  const markets = [
+    'homeMoneyline', 'awayMoneyline',
+    'homeLine', 'awayLine',
+    'homeLineOdds', 'awayLineOdds',
+    'totalScore', 'totalScoreOver', 'totalScoreUnder'
+  ];
+  const fields = [];
+  markets.forEach(market => {
+    ['Open', 'Min', 'Max', 'Close'].forEach(point => {
+      const key = `${market}${point}`;
+      fields.push({ key, type: 'number', aliases: [key.charAt(0).toUpperCase() + key.slice(1)] });
+    });
+  });
+  return fields;
+}
+
+function pickValue(raw, field) {
+  for (const name of [field.key, ...(field.aliases || [])]) {
+    const value = raw[name];
+    if (value !== undefined && value !== null && value !== '') return value;
+  }
+  return null;
+}
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function toBoolean(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  const str = String(value).trim().toLowerCase();
+  if (['y', 'yes', 'true', 't', '1'].includes(str)) return true;
+  if (['n', 'no', 'false', 'f', '0'].includes(str)) return false;
+  return null;
+}
+
+function cleanString(value) {
+  if (value === null || value === undefined) return null;
+  const str = String(value).trim();
+  return str.length ? str : null;
+}
+
+// Oldest season first, then by kickoff
+function sortByKickoff(games) {
+  return [...games].sort((a, b) => (
+    a.season - b.season ||
+    new Date(a.startDate || 0) - new Date(b.startDate || 0)
+  ));
+}
+
+function toIsoDate(value) {
+  if (value === null || value === undefined) return null;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
+
+function coerce(value, type) {
+  if (value === null) return null;
+  switch (type) {
+    case 'id':
+      return typeof value === 'number' ? value : String(value).trim();
+    case 'integer': {
+      const num = toNumber(value);
+      return num === null ? null : Math.trunc(num);
+    }
+    case 'number':
+      return toNumber(value);
+    case 'boolean':
+      return toBoolean(value);
+    case 'date':
+      return toIsoDate(value);
+    case 'sport':
+    case 'seasonType':
+      return String(value).trim().toLowerCase();
+    default:
+      return cleanString(value);
+  }
+}
+
+// Map a raw converter row or API record onto the canonical game shape
+function normalizeGame(raw, options = {}) {
+  const game = {};
+  GAME_FIELDS.forEach(field => {
+    const value = coerce(pickValue(raw, field), field.type);
+    game[field.key] = value === null && field.default !== undefined ? field.default : value;
+  });
+
+  if (options.sport) game.sport = String(options.sport).toLowerCase();
+  if (game.completed === null) {
+    game.completed = Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore);
+  }
+  if (game.playoffGame === null && game.sport === 'nfl') {
+    game.playoffGame = game.seasonType === 'postseason';
+  }
+  return game;
+}
+
+// Return a list of human-readable problems; an empty list means the game is valid
+function validateGame(game) {
+  const errors = [];
+  GAME_FIELDS.forEach(field => {
+    if (field.required && (game[field.key] === null || game[field.key] === undefined)) {
+      errors.push(`${field.key} is required`);
+    }
+  });
+
+  if (game.sport && !SPORTS.includes(game.sport)) {
+    errors.push(`sport must be one of ${SPORTS.join(', ')}`);
+  }
+  if (game.seasonType && !SEASON_TYPES.includes(game.seasonType)) {
+    errors.push(`seasonType must be one of ${SEASON_TYPES.join(', ')}`);
+  }
+  if (Number.isFinite(game.season) && (game.season < 1869 || game.season > 2100)) {
+    errors.push(`season ${game.season} is out of range`);
+  }
+  ['homeScore', 'awayScore'].forEach(key => {
+    if (Number.isFinite(game[key]) && game[key] < 0) errors.push(`${key} cannot be negative`);
+  });
+  if (game.completed && !(Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore))) {
+    errors.push('completed games need both scores');
+  }
+  if (game.homeTeam && game.homeTeam === game.awayTeam) {
+    errors.push('homeTeam and awayTeam are the same');
+  }
+  return errors;
+}
+
+// Fields whose raw value is present but cannot be read as the field's type;
+// normalizeGame() would silently turn these into null
+function coercionErrors(raw) {
+  const errors = [];
+  GAME_FIELDS.forEach(field => {
+    const value = pickValue(raw, field);
+    if (value !== null && coerce(value, field.type) === null) {
+      errors.push(`${field.key} "${value}" is not a valid ${field.type}`);
+    }
+  });
+  return errors;
+}
+
+// Normalize a batch of rows, splitting out the ones that fail validation
+function normalizeGames(rows, sport) {
+  const games = [];
+  const invalid = [];
+  rows.forEach((row, index) => {
+    const game = normalizeGame(row, { sport });
+    const errors = validateGame(game);
+    if (errors.length) {
+      invalid.push({ index, id: game.id, errors });
+    } else {
+      games.push(game);
+    }
+  });
+  return { games, invalid };
+}
+
+module.exports = {
+  SPORTS,
+  SEASON_TYPES,
+  GAME_FIELDS,
+  normalizeGame,
+  validateGame,
+  coercionErrors,
+  normalizeGames,
+  toNumber,
+  toBoolean,
+  cleanString,
+  sortByKickoff
+};
@@ -0,0 +1,182 @@
+/*
+ * Against-the-spread and over/under grading.
+ *
+ * gradeGame() grades one completed game against its spread and total. The
+ * spread is quoted from the home side (home +3.5 means the home team gets 3.5
+ * points); when `spread` is missing it is recovered from `formattedSpread`
+ * ("Florida State -10.0"). summarizeAts() rolls graded games up by team,
+ * conference, season and book for the /api/ats endpoint.
+ */
+
+const { consolidateGames } = require('./consolidate');
+
+// Parse "Team Name -7.5" into the home-side spread
+function spreadFromFormatted(game) {
+  const match = String(game.formattedSpread || '').trim().match(/^(.*\S)\s+([+-]?\d+(?:\.\d+)?)$/);
+  if (!match) return null;
+  const value = Number(match[2]);
+  if (match[1] === game.homeTeam) return value;
+  if (match[1] === game.awayTeam) return -value;
+  return null;
+}
+
+function resolveSpread(game) {
+  return Number.isFinite(game.spread) ? game.spread : spreadFromFormatted(game);
+}
+
+// Returns null for games that are not final
+function gradeGame(game) {
+  const { homeScore, awayScore } = game;
+  if (!Number.isFinite(homeScore) || !Number.isFinite(awayScore)) return null;
+  if (game.completed === false) return null;
+
+  const margin = homeScore - awayScore;
+  const totalPoints = homeScore + awayScore;
+  const spread = resolveSpread(game);
+
+  let ats = null;
+  if (Number.isFinite(spread)) {
+    const coverMargin = margin + spread;
+    ats = {
+      spread,
+      coverMargin,
+      result: coverMargin > 0 ? 'home' : coverMargin < 0 ? 'away' : 'push',
+      homeCover: coverMargin > 0,
+      awayCover: coverMargin < 0,
+      push: coverMargin === 0
+    };
+  }
+
+  let ou = null;
+  if (Number.isFinite(game.overUnder)) {
+    const totalMargin = totalPoints - game.overUnder;
+    ou = {
+      total: game.overUnder,
+      totalMargin,
+      result: totalMargin > 0 ? 'over' : totalMargin < 0 ? 'under' : 'push'
+    };
+  }
+
+  return {
+    margin,
+    totalPoints,
+    winner: margin > 0 ? 'home' : margin < 0 ? 'away' : 'tie',
+    ats,
+    ou
+  };
+}
+
+// Grade a consolidated game against its consensus line and every book's line
+function gradeConsolidatedGame(game) {
+  const lines = {};
+  Object.entries(game.lines).forEach(([book, line]) => {
+    lines[book] = { ...line, grade: gradeGame({ ...game, ...line }) };
+  });
+  return {
+    ...game,
+    lines,
+    grade: gradeGame({ ...game, ...game.consensus })
+  };
+}
+
+function createRecord(key) {
+  return {
+    key,
+    games: 0,
+    atsWins: 0,
+    atsLosses: 0,
+    atsPushes: 0,
+    overs: 0,
+    unders: 0,
+    ouPushes: 0,
+    coverMarginSum: 0
+  };
+}
+
+// `side` is the perspective the ATS columns are counted from
+function addToRecord(record, grade, side) {
+  if (!grade || (!grade.ats && !grade.ou)) return;
+  record.games += 1;
+  if (grade.ats) {
+    if (grade.ats.push) record.atsPushes += 1;
+    else if (grade.ats.result === side) record.atsWins += 1;
+    else record.atsLosses += 1;
+    record.coverMarginSum += side === 'home' ? grade.ats.coverMargin : -grade.ats.coverMargin;
+  }
+  if (grade.ou) {
+    if (grade.ou.result === 'over') record.overs += 1;
+    else if (grade.ou.result === 'under') record.unders += 1;
+    else record.ouPushes += 1;
+  }
+}
+
+function finalizeRecord(record) {
+  const { coverMarginSum, ...rest } = record;
+  const atsDecisions = record.atsWins + record.atsLosses;
+  const ouDecisions = record.overs + record.unders;
+  const atsGames = atsDecisions + record.atsPushes;
+  return {
+    ...rest,
+    coverRate: atsDecisions ? record.atsWins / atsDecisions : null,
+    overRate: ouDecisions ? record.overs / ouDecisions : null,
+    avgCoverMargin: atsGames ? coverMarginSum / atsGames : null
+  };
+}
+
+function addGrouped(groups, key, grade, side) {
+  if (key === null || key === undefined || key === '') return;
+  if (!groups.has(key)) groups.set(key, createRecord(key));
+  addToRecord(groups.get(key), grade, side);
+}
+
+function finalizeGroups(groups) {
+  return Array.from(groups.values())
+    .map(finalizeRecord)
+    .sort((a, b) => b.games - a.games || String(a.key).localeCompare(String(b.key)));
+}
+
+// Team and conference records are counted from that team's side; overall,
+// season and book records are counted from the home side. Games between two
+// members of the same conference always net to one cover and one loss, so
+// they are left out of the conference records.
+function summarizeAts(games) {
+  const overall = createRecord('all');
+  const byTeam = new Map();
+  const byConference = new Map();
+  const bySeason = new Map();
+  const byBook = new Map();
+
+  games.forEach(game => {
+    addGrouped(byBook, game.lineProvider, gradeGame(game), 'home');
+  });
+
+  consolidateGames(games).forEach(game => {
+    const grade = gradeGame({ ...game, ...game.consensus });
+    addToRecord(overall, grade, 'home');
+    addGrouped(bySeason, game.season, grade, 'home');
+    addGrouped(byTeam, game.homeTeam, grade, 'home');
+    addGrouped(byTeam, game.awayTeam, grade, 'away');
+    if (game.homeConference !== game.awayConference) {
+      addGrouped(byConference, game.homeConference, grade, 'home');
+      addGrouped(byConference, game.awayConference, grade, 'away');
+    }
+  });
+
+  return {
+    overall: finalizeRecord(overall),
+    byTeam: finalizeGroups(byTeam),
+    byConference: finalizeGroups(byConference),
+    bySeason: finalizeGroups(bySeason).sort((a, b) => b.key - a.key),
+    byBook: finalizeGroups(byBook)
+  };
+}
+
+module.exports = {
+  spreadFromFormatted,
+  gradeGame,
+  createRecord,
+  addToRecord,
+  finalizeRecord,
+  gradeConsolidatedGame,
+  summarizeAts
+};
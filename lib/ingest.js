@@ -0,0 +1,274 @@
+/*
+ * Streaming ingestion of CSV files and NFL workbooks into season shards.
+ *
+ * ingestCsv() reads a CSV row by row (lib/csv.js, RFC 4180) and ingestFile()
+ * also accepts .xlsx workbooks (lib/nfl-workbook.js). Columns are renamed
+ * through an optional column map, then each row is normalized and validated
+ * into the canonical game model; NFL rows get their derived fields from
+ * prepareNflRows() first. With a team registry (lib/team-registry.js) team
+ * names are normalized and conferences set for the row's season, and names
+ * the registry does not know are listed in the report. Rows that fail are
+ * reported with their CSV line number instead of being dropped silently; a
+ * repeated Id + LineProvider keeps the last row and is reported as a
+ * duplicate.
+ *
+ * Shards are written deterministically: rows sorted by kickoff, id and line
+ * provider, canonical field order, and files whose content would not change
+ * are left untouched. In `replace` mode each season in the CSV is rebuilt from
+ * the CSV alone; in `append` mode (a new week's CSV) rows are merged into the
+ * existing shard by Id + LineProvider, so only the seasons the CSV touches are
+ * rewritten.
+ *
+ * A column map is JSON of the form
+ *   { "columns": { "Home Team": "homeTeam", "Internal Id": null },
+ *     "defaults": { "lineProvider": "Consensus" }, "oddsFormat": "american" }
+ * where a null target drops the column, defaults fill fields a row leaves
+ * empty, and `"oddsFormat": "decimal"` converts the price fields to American
+ * odds. Headers the map does not mention keep their name, so anything
+ * normalizeGame() already accepts needs no entry.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { readCsvRecords } = require('./csv');
+const { SPORTS, GAME_FIELDS, normalizeGame, validateGame, coercionErrors } = require('./game-schema');
+const { DATA_DIR, shardFileName } = require('./data-store');
+const { decimalToAmerican } = require('./odds');
+const { readWorkbookRecords, prepareNflRows } = require('./nfl-workbook');
+const { applyTeamRegistry } = require('./team-registry');
+
+const INGEST_MODES = ['replace', 'append'];
+const ODDS_FORMATS = ['american', 'decimal'];
+const WORKBOOK_EXTENSIONS = ['.xlsx', '.xls'];
+
+// Sport-specific fill-in run over every mapped row before validation
+const PREPARE_ROWS = {
+  nfl: prepareNflRows
+};
+
+// Placeholders the old exporter wrote for missing values
+const NULL_TOKENS = ['null', 'NULL', 'undefined'];
+
+const KNOWN_HEADERS = new Set(GAME_FIELDS.flatMap(field => [field.key, ...(field.aliases || [])]));
+const FIELD_KEYS = new Set(GAME_FIELDS.map(field => field.key));
+const PRICE_FIELDS = GAME_FIELDS.filter(field => /^(home|away)Moneyline|Odds|^totalScore(Over|Under)/.test(field.key));
+
+function fieldNames(field) {
+  return [field.key, ...(field.aliases || [])];
+}
+
+// Return a list of problems with a column map; an empty list means it is usable
+function validateColumnMap(map) {
+  if (!map || typeof map !== 'object' || Array.isArray(map)) return ['column map must be an object'];
+  const errors = [];
+  const { columns = {}, defaults = {}, oddsFormat = 'american' } = map;
+  if (!ODDS_FORMATS.includes(oddsFormat)) errors.push(`oddsFormat must be one of ${ODDS_FORMATS.join(', ')}`);
+  Object.entries(columns).forEach(([header, target]) => {
+    if (target !== null && !FIELD_KEYS.has(target)) errors.push(`columns.${header}: unknown field "${target}"`);
+  });
+  Object.keys(defaults).forEach(key => {
+    if (!FIELD_KEYS.has(key)) errors.push(`defaults.${key}: unknown field`);
+  });
+  return errors;
+}
+
+function loadColumnMap(file) {
+  const map = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateColumnMap(map);
+  if (errors.length) throw new Error(`Invalid column map ${file}: ${errors.join('; ')}`);
+  return map;
+}
+
+// Rename one record's columns, fill defaults and convert decimal prices. The
+// first non-empty value for a column wins.
+function mapRecord(record, columnMap) {
+  const { columns = {}, defaults = {}, oddsFormat = 'american' } = columnMap;
+  const raw = {};
+  Object.entries(record).forEach(([header, value]) => {
+    const target = Object.prototype.hasOwnProperty.call(columns, header) ? columns[header] : header;
+    const cleaned = typeof value === 'string' ? value.trim() : value;
+    if (target === null || cleaned === null || cleaned === undefined || cleaned === '' || NULL_TOKENS.includes(cleaned)) return;
+    if (raw[target] === undefined) raw[target] = cleaned;
+  });
+
+  GAME_FIELDS.forEach(field => {
+    if (defaults[field.key] !== undefined && fieldNames(field).every(name => raw[name] === undefined)) {
+      raw[field.key] = defaults[field.key];
+    }
+  });
+  if (oddsFormat === 'decimal') {
+    PRICE_FIELDS.flatMap(fieldNames).forEach(name => {
+      if (raw[name] === undefined) return;
+      const american = decimalToAmerican(raw[name]);
+      if (american === null) delete raw[name];
+      else raw[name] = american;
+    });
+  }
+  return raw;
+}
+
+function gameKey(game) {
+  return `${game.id}|${String(game.lineProvider || '').toLowerCase()}`;
+}
+
+function compareValues(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+function sortGames(games) {
+  return [...games].sort((a, b) => (
+    compareValues(a.startDate, b.startDate) ||
+    compareValues(a.id, b.id) ||
+    compareValues(a.lineProvider, b.lineProvider)
+  ));
+}
+
+// Numeric ids stay numbers, matching the shards the converters have always written
+function normalizeId(game) {
+  if (typeof game.id === 'string' && /^\d+$/.test(game.id) && Number.isSafeInteger(Number(game.id))) {
+    game.id = Number(game.id);
+  }
+  return game;
+}
+
+function readShard(file, sport) {
+  if (!fs.existsSync(file)) return { text: null, games: [] };
+  const text = fs.readFileSync(file, 'utf8');
+  return { text, games: JSON.parse(text).map(row => normalizeGame(row, { sport })) };
+}
+
+// Write canonical games into per-season shards and report what changed per season
+function writeSeasonShards(games, options = {}) {
+  const { sport, mode = 'replace', dataDir = DATA_DIR, dryRun = false } = options;
+  const bySeason = new Map();
+  games.forEach(game => {
+    if (!bySeason.has(game.season)) bySeason.set(game.season, []);
+    bySeason.get(game.season).push(game);
+  });
+
+  if (!dryRun && !fs.existsSync(dataDir)) fs.mkdirSync(dataDir, { recursive: true });
+
+  return [...bySeason.keys()].sort((a, b) => a - b).map(season => {
+    const file = path.join(dataDir, shardFileName(sport, season));
+    const existing = readShard(file, sport);
+    const previous = new Map(existing.games.map(game => [gameKey(game), game]));
+    const merged = mode === 'append' ? new Map(previous) : new Map();
+    const counts = { added: 0, updated: 0, unchanged: 0 };
+
+    bySeason.get(season).forEach(game => {
+      const key = gameKey(game);
+      const before = previous.get(key);
+      if (!before) counts.added += 1;
+      else if (JSON.stringify(before) === JSON.stringify(game)) counts.unchanged += 1;
+      else counts.updated += 1;
+      merged.set(key, game);
+    });
+
+    const removed = mode === 'append' ? 0 : [...previous.keys()].filter(key => !merged.has(key)).length;
+    const rows = sortGames(merged.values());
+    const text = JSON.stringify(rows, null, 1);
+    const written = text !== existing.text;
+    if (written && !dryRun) fs.writeFileSync(file, text);
+
+    return { season, file: path.basename(file), ...counts, removed, total: rows.length, written };
+  });
+}
+
+// `records` is an iterable or async iterable of { line, record, error } (see
+// lib/csv.js). Options: sport, mode ('replace' | 'append'), columnMap,
+// registry, dataDir, dryRun.
+async function ingestRecords(records, options = {}) {
+  const sport = String(options.sport || 'ncaaf').toLowerCase();
+  const mode = options.mode || 'replace';
+  if (!SPORTS.includes(sport)) throw new Error(`Unknown sport: ${options.sport}`);
+  if (!INGEST_MODES.includes(mode)) throw new Error(`Unknown ingest mode: ${mode}`);
+  const columnMap = options.columnMap || {};
+  const columns = columnMap.columns || {};
+
+  const games = new Map();
+  const lines = new Map();
+  const invalid = [];
+  const duplicates = [];
+  const unknownTeams = new Set();
+  const addEntry = ({ line, raw, error }) => {
+    const game = normalizeId(normalizeGame(raw, { sport }));
+    if (options.registry) applyTeamRegistry(game, options.registry, unknownTeams);
+    // A row with the wrong field count has its values shifted, so only report that
+    const errors = error ? [error] : [...coercionErrors(raw), ...validateGame(game)];
+    if (errors.length) {
+      invalid.push({ line, id: game.id, errors });
+      return;
+    }
+
+    const key = gameKey(game);
+    if (games.has(key)) {
+      duplicates.push({ line, firstLine: lines.get(key), id: game.id, lineProvider: game.lineProvider });
+    }
+    games.set(key, game);
+    lines.set(key, line);
+  };
+
+  // Rows stream through one at a time, unless the sport derives fields (NFL
+  // weeks and rounds) from the whole file first
+  const prepare = PREPARE_ROWS[sport];
+  const buffered = [];
+  let headers = null;
+  let rows = 0;
+  for await (const { line, record, error } of records) {
+    if (!headers) headers = Object.keys(record);
+    rows += 1;
+    const entry = { line, raw: mapRecord(record, columnMap), error };
+    if (prepare) buffered.push(entry);
+    else addEntry(entry);
+  }
+  if (prepare) {
+    prepare(buffered);
+    buffered.forEach(addEntry);
+  }
+
+  const unmappedColumns = (headers || []).filter(header => (
+    !Object.prototype.hasOwnProperty.call(columns, header) && !KNOWN_HEADERS.has(header)
+  ));
+
+  return {
+    sport,
+    mode,
+    rows,
+    games: games.size,
+    invalid,
+    duplicates,
+    unmappedColumns,
+    unknownTeams: [...unknownTeams].sort(),
+    seasons: writeSeasonShards([...games.values()], { sport, mode, dataDir: options.dataDir, dryRun: options.dryRun })
+  };
+}
+
+// `input` is a file path or a readable stream of CSV text
+function ingestCsv(input, options = {}) {
+  const stream = typeof input === 'string' ? fs.createReadStream(input, { encoding: 'utf8' }) : input;
+  return ingestRecords(readCsvRecords(stream), options);
+}
+
+// A CSV or, by extension, a workbook; `options.sheet` picks the workbook sheet
+function ingestFile(file, options = {}) {
+  if (WORKBOOK_EXTENSIONS.includes(path.extname(file).toLowerCase())) {
+    return ingestRecords(readWorkbookRecords(file, options.sheet), options);
+  }
+  return ingestCsv(file, options);
+}
+
+module.exports = {
+  INGEST_MODES,
+  ODDS_FORMATS,
+  validateColumnMap,
+  loadColumnMap,
+  sortGames,
+  writeSeasonShards,
+  ingestRecords,
+  ingestCsv,
+  ingestFile
+};
@@ -0,0 +1,117 @@
+/*
+ * Key numbers analysis.
+ *
+ * Builds the final-margin frequency distribution from completed games and,
+ * for every half-point spread, estimates how often the favorite covers,
+ * pushes or loses, and how much win probability buying half a point is worth.
+ * Spread estimates use the games whose closing line sat near that number
+ * (within `window` points), so a -7 line is judged on games that were priced
+ * like a -7 game rather than on every game in the sample.
+ */
+
+const { closingLines } = require('./consolidate');
+
+const KEY_NUMBERS = [3, 7, 10, 14];
+const DEFAULT_WINDOW = 1.5;
+const DEFAULT_MAX_SPREAD = 35;
+
+// Favorite's closing number and final margin; pick'em games have no favorite
+function favoriteResults(lines) {
+  return lines
+    .filter(game => game.completed !== false)
+    .filter(game => Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore))
+    .map(game => {
+      const homeMargin = game.homeScore - game.awayScore;
+      if (!Number.isFinite(game.spread) || game.spread === 0) {
+        return { line: null, margin: Math.abs(homeMargin) };
+      }
+      const homeFavored = game.spread < 0;
+      return {
+        line: Math.abs(game.spread),
+        margin: homeFavored ? homeMargin : -homeMargin
+      };
+    });
+}
+
+function buildDistribution(results) {
+  const counts = new Map();
+  results.forEach(({ margin }) => {
+    const key = Math.abs(margin);
+    counts.set(key, (counts.get(key) || 0) + 1);
+  });
+  let cumulative = 0;
+  return Array.from(counts.entries())
+    .sort((a, b) => a[0] - b[0])
+    .map(([margin, games]) => {
+      const frequency = games / results.length;
+      cumulative += frequency;
+      return { margin, games, frequency, cumulative };
+    });
+}
+
+function share(sample, predicate) {
+  return sample.length ? sample.filter(predicate).length / sample.length : null;
+}
+
+// Buying half a point (the favorite lays less, the underdog gets more) only
+// changes games that land exactly on the integer it crosses: from an integer
+// spread those pushes become wins, from a half-point spread those losses
+// become pushes.
+function halfPointValue(sample, spread, side) {
+  const to = side === 'favorite' ? spread - 0.5 : spread + 0.5;
+  const integer = Number.isInteger(spread) ? spread : to;
+  return {
+    to,
+    crosses: integer,
+    keyNumber: KEY_NUMBERS.includes(integer),
+    effect: Number.isInteger(spread) ? 'push-to-win' : 'loss-to-push',
+    landingRate: share(sample, result => result.margin === integer)
+  };
+}
+
+function spreadTable(results, options) {
+  const priced = results.filter(result => result.line !== null);
+  const rows = [];
+  for (let spread = 0.5; spread <= options.maxSpread; spread += 0.5) {
+    const sample = priced.filter(result => Math.abs(result.line - spread) <= options.window);
+    if (!sample.length) continue;
+    rows.push({
+      spread,
+      sample: sample.length,
+      favoriteCover: share(sample, result => result.margin > spread),
+      push: Number.isInteger(spread) ? share(sample, result => result.margin === spread) : 0,
+      underdogCover: share(sample, result => result.margin < spread),
+      buyFavorite: halfPointValue(sample, spread, 'favorite'),
+      buyUnderdog: halfPointValue(sample, spread, 'underdog')
+    });
+  }
+  return rows;
+}
+
+function analyzeKeyNumbers(games, options = {}) {
+  const settings = {
+    window: Number.isFinite(options.window) ? options.window : DEFAULT_WINDOW,
+    maxSpread: Number.isFinite(options.maxSpread) ? options.maxSpread : DEFAULT_MAX_SPREAD
+  };
+  const results = favoriteResults(closingLines(games, options.book));
+  const distribution = buildDistribution(results);
+  const byMargin = new Map(distribution.map(entry => [entry.margin, entry]));
+
+  return {
+    games: results.length,
+    window: settings.window,
+    keyNumbers: KEY_NUMBERS.map(margin => ({
+      margin,
+      games: byMargin.get(margin)?.games || 0,
+      frequency: byMargin.get(margin)?.frequency || 0
+    })),
+    topMargins: [...distribution].sort((a, b) => b.games - a.games).slice(0, 10),
+    distribution,
+    spreads: spreadTable(results, settings)
+  };
+}
+
+module.exports = {
+  KEY_NUMBERS,
+  analyzeKeyNumbers
+};
@@ -0,0 +1,126 @@
+/*
+ * Moneyline backtest.
+ *
+ * Replays every completed game's closing moneylines and tracks units for
+ * favorites, underdogs, home and away sides, plus a breakdown by price
+ * bucket. Two staking plans are reported side by side: flat stake (risk one
+ * unit every bet) and to-win (risk whatever it takes to win one unit).
+ */
+
+const { closingLines } = require('./consolidate');
+const { winProfit, stakeToWin } = require('./odds');
+
+// Inclusive bounds on the rounded American price
+const PRICE_BUCKETS = [
+  { label: '-500 or shorter', min: -Infinity, max: -500 },
+  { label: '-300 to -499', min: -499, max: -300 },
+  { label: '-201 to -299', min: -299, max: -201 },
+  { label: '-110 to -200', min: -200, max: -110 },
+  { label: '-109 to +109', min: -109, max: 109 },
+  { label: '+110 to +200', min: 110, max: 200 },
+  { label: '+201 to +299', min: 201, max: 299 },
+  { label: '+300 to +499', min: 300, max: 499 },
+  { label: '+500 or longer', min: 500, max: Infinity }
+];
+
+function findBucket(ml) {
+  const rounded = Math.round(ml);
+  return PRICE_BUCKETS.find(bucket => rounded >= bucket.min && rounded <= bucket.max) || null;
+}
+
+function createTally() {
+  return {
+    bets: 0,
+    wins: 0,
+    losses: 0,
+    flat: { units: 0, risked: 0 },
+    toWin: { units: 0, risked: 0 }
+  };
+}
+
+function addBet(tally, ml, won) {
+  const toWinStake = stakeToWin(ml);
+  tally.bets += 1;
+  tally.flat.risked += 1;
+  tally.toWin.risked += toWinStake;
+  if (won) {
+    tally.wins += 1;
+    tally.flat.units += winProfit(ml);
+    tally.toWin.units += 1;
+  } else {
+    tally.losses += 1;
+    tally.flat.units -= 1;
+    tally.toWin.units -= toWinStake;
+  }
+}
+
+function finalizeStake(stake) {
+  return { ...stake, roi: stake.risked ? stake.units / stake.risked : null };
+}
+
+function finalizeTally(tally) {
+  return {
+    ...tally,
+    winRate: tally.bets ? tally.wins / tally.bets : null,
+    flat: finalizeStake(tally.flat),
+    toWin: finalizeStake(tally.toWin)
+  };
+}
+
+// Ties refund the stake, so they are left out of every tally
+function backtestMoneylines(games, options = {}) {
+  const sides = {
+    favorites: createTally(),
+    underdogs: createTally(),
+    home: createTally(),
+    away: createTally()
+  };
+  const buckets = new Map(PRICE_BUCKETS.map(bucket => [bucket.label, createTally()]));
+  let graded = 0;
+
+  closingLines(games, options.book).forEach(game => {
+    const { homeScore, awayScore, homeMoneyline, awayMoneyline } = game;
+    if (game.completed === false) return;
+    if (!Number.isFinite(homeScore) || !Number.isFinite(awayScore) || homeScore === awayScore) return;
+    if (!Number.isFinite(homeMoneyline) || !Number.isFinite(awayMoneyline)) return;
+
+    graded += 1;
+    const homeWon = homeScore > awayScore;
+    const bets = [
+      { side: 'home', ml: homeMoneyline, won: homeWon },
+      { side: 'away', ml: awayMoneyline, won: !homeWon }
+    ];
+    bets.forEach(({ side, ml, won }) => {
+      addBet(sides[side], ml, won);
+      const bucket = findBucket(ml);
+      if (bucket) addBet(buckets.get(bucket.label), ml, won);
+    });
+
+    // Equal prices have no favorite
+    if (homeMoneyline !== awayMoneyline) {
+      const [favorite, underdog] = homeMoneyline < awayMoneyline ? bets : [bets[1], bets[0]];
+      addBet(sides.favorites, favorite.ml, favorite.won);
+      addBet(sides.underdogs, underdog.ml, underdog.won);
+    }
+  });
+
+  const finalizedSides = {};
+  Object.entries(sides).forEach(([key, tally]) => { finalizedSides[key] = finalizeTally(tally); });
+
+  return {
+    games: graded,
+    book: options.book || 'consensus',
+    sides: finalizedSides,
+    buckets: PRICE_BUCKETS.map(bucket => ({
+      label: bucket.label,
+      min: Number.isFinite(bucket.min) ? bucket.min : null,
+      max: Number.isFinite(bucket.max) ? bucket.max : null,
+      ...finalizeTally(buckets.get(bucket.label))
+    }))
+  };
+}
+
+module.exports = {
+  PRICE_BUCKETS,
+  backtestMoneylines
+};
@@ -0,0 +1,133 @@
+/*
+ * NFL week and playoff-round resolver.
+ *
+ * Weeks are counted on the calendar from the season kickoff rather than by
+ * numbering the weeks that happen to have games. An NFL week runs Wednesday
+ * to Tuesday, so a Thursday opener, the Sunday slate, Monday night and the
+ * odd rescheduled Tuesday game all land in the same week, and international
+ * Sunday-morning games are no different from any other Sunday. Week 1 is the
+ * week holding the first regular-season game.
+ *
+ * The regular season is 17 weeks through 2020 and 18 weeks from 2021. The
+ * calendar weeks after it are the playoff rounds: Wild Card, Divisional and
+ * Conference, then the Super Bowl, which also covers the idle week before it.
+ * Playoff games keep counting weeks after the regular season (a 2023 Super
+ * Bowl is week 22), so the bye week never leaves a gap in the numbering.
+ *
+ * A game that shares a week with another game of one of its teams (a
+ * postponed game made up early the next week) is moved back a week when
+ * neither team played in that earlier week.
+ */
+
+const PLAYOFF_ROUNDS = ['Wild Card', 'Divisional', 'Conference', 'Super Bowl'];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function regularSeasonWeeks(season) {
+  return Number(season) >= 2021 ? 18 : 17;
+}
+
+// Canonical round name for user input such as "wild-card" or "super_bowl", or null
+function parsePlayoffRound(value) {
+  const key = String(value || '').toLowerCase().replace(/[^a-z]/g, '');
+  return PLAYOFF_ROUNDS.find(round => round.toLowerCase().replace(/[^a-z]/g, '') === key) || null;
+}
+
+// Days since the epoch, by UTC calendar date
+function dayNumber(value) {
+  const date = value instanceof Date ? value : new Date(value);
+  const time = date.getTime();
+  return Number.isNaN(time) ? null : Math.floor(time / DAY_MS);
+}
+
+// The Wednesday on or before `day` (day 0, 1970-01-01, was a Thursday)
+function weekStart(day) {
+  return day - (((day + 1) % 7) + 7) % 7;
+}
+
+function teamKey(name) {
+  return String(name || '').trim().toLowerCase();
+}
+
+// Move a game back a week when one of its teams plays again later that week
+// (a postponed game made up early the next week) and both teams had the
+// earlier week off
+function settlePostponedGames(entries) {
+  const byTeamWeek = new Map();
+  const gamesOf = (team, week) => byTeamWeek.get(`${team}|${week}`) || [];
+  const place = (entry, week) => {
+    entry.week = week;
+    [entry.home, entry.away].forEach(team => byTeamWeek.set(`${team}|${week}`, [...gamesOf(team, week), entry]));
+  };
+  const unplace = entry => {
+    [entry.home, entry.away].forEach(team => (
+      byTeamWeek.set(`${team}|${entry.week}`, gamesOf(team, entry.week).filter(other => other !== entry))
+    ));
+  };
+
+  const regular = entries.filter(entry => !entry.postseason).sort((a, b) => a.day - b.day);
+  regular.forEach(entry => place(entry, entry.week));
+  regular.forEach(entry => {
+    const teams = [entry.home, entry.away];
+    const previous = entry.week - 1;
+    const playsLater = teams.some(team => gamesOf(team, entry.week).some(other => other.day > entry.day));
+    const previousOff = previous >= 1 && teams.every(team => !gamesOf(team, previous).length);
+    if (!playsLater || !previousOff) return;
+    unplace(entry);
+    place(entry, previous);
+  });
+}
+
+// `games` are objects with season, startDate, homeTeam, awayTeam and
+// playoffGame (canonical games or converter rows). Returns one
+// { week, round, postseason } per game, in the same order; week is null for
+// a game without a usable date. A game past the regular season counts as a
+// playoff game even when it is not flagged as one.
+function resolveNflWeeks(games) {
+  const resolved = games.map(game => ({
+    season: Number(game.season),
+    day: dayNumber(game.startDate),
+    home: teamKey(game.homeTeam),
+    away: teamKey(game.awayTeam),
+    flagged: game.playoffGame === true,
+    week: null,
+    round: null,
+    postseason: game.playoffGame === true
+  }));
+
+  const seasons = new Map();
+  resolved.forEach(entry => {
+    if (entry.day === null || !Number.isFinite(entry.season)) return;
+    if (!seasons.has(entry.season)) seasons.set(entry.season, []);
+    seasons.get(entry.season).push(entry);
+  });
+
+  seasons.forEach((entries, season) => {
+    const regularGames = entries.filter(entry => !entry.flagged);
+    const kickoff = Math.min(...(regularGames.length ? regularGames : entries).map(entry => entry.day));
+    const anchor = weekStart(kickoff);
+    const regularWeeks = regularSeasonWeeks(season);
+
+    entries.forEach(entry => {
+      const calendarWeek = Math.floor((entry.day - anchor) / 7) + 1;
+      entry.postseason = entry.flagged || calendarWeek > regularWeeks;
+      if (!entry.postseason) {
+        entry.week = calendarWeek;
+        return;
+      }
+      const roundIndex = Math.min(Math.max(calendarWeek - regularWeeks, 1), PLAYOFF_ROUNDS.length) - 1;
+      entry.round = PLAYOFF_ROUNDS[roundIndex];
+      entry.week = regularWeeks + roundIndex + 1;
+    });
+    settlePostponedGames(entries);
+  });
+
+  return resolved.map(({ week, round, postseason }) => ({ week, round, postseason }));
+}
+
+module.exports = {
+  PLAYOFF_ROUNDS,
+  regularSeasonWeeks,
+  parsePlayoffRound,
+  resolveNflWeeks
+};
@@ -0,0 +1,142 @@
+/*
+ * NFL workbook reader.
+ *
+ * The NFL source is a spreadsheet with one row per game and no ids, seasons
+ * or weeks, quoting every price as decimal odds. NFL_WORKBOOK_COLUMNS
+ * maps its headers onto the canonical fields (lib/ingest.js converts the
+ * decimal prices), and prepareNflRows() fills in what the sheet leaves out:
+ *
+ *   season      the calendar year of kickoff, or the year before for Jan-Mar games
+ *   week        the week of the season from lib/nfl-weeks.js, counted from kickoff
+ *   round       the playoff round (Wild Card, Divisional, Conference, Super Bowl)
+ *   id          season-home-away-date slug; the week is left out so the id
+ *               stays put when week numbering changes
+ *   seasonType  postseason when "Playoff Game?" is set or the game is past the regular season
+ *   spread, overUnder, opening lines and moneylines from the close/open snapshots
+ *
+ * Values already present in a row are left alone, so an NFL CSV that does
+ * carry ids or weeks goes through unchanged. Divisions come from the team
+ * registry (lib/team-registry.js), which knows the relocated franchises too.
+ */
+
+const XLSX = require('xlsx');
+const { resolveNflWeeks } = require('./nfl-weeks');
+
+// Workbook header -> canonical field; null drops the column
+const NFL_WORKBOOK_COLUMNS = {
+  'Date': 'startDate',
+  'Home Team': 'homeTeam',
+  'Away Team': 'awayTeam',
+  'Home Score': 'homeScore',
+  'Away Score': 'awayScore',
+  'Overtime?': null,
+  'Playoff Game?': 'playoffGame',
+  'Neutral Venue?': 'neutralSite',
+  'Notes': 'notes',
+  ...marketColumns()
+};
+
+// Canonical fields filled from a snapshot when the row has no value of its own
+const MARKET_FALLBACKS = {
+  spread: 'homeLineClose',
+  overUnder: 'totalScoreClose',
+  openingSpread: 'homeLineOpen',
+  openingOverUnder: 'totalScoreOpen',
+  homeMoneyline: 'homeMoneylineClose',
+  awayMoneyline: 'awayMoneylineClose'
+};
+
+function marketColumns() {
+  const markets = {
+    'Home Odds': 'homeMoneyline',
+    'Away Odds': 'awayMoneyline',
+    'Home Line': 'homeLine',
+    'Away Line': 'awayLine',
+    'Home Line Odds': 'homeLineOdds',
+    'Away Line Odds': 'awayLineOdds',
+    'Total Score': 'totalScore',
+    'Total Score Over': 'totalScoreOver',
+    'Total Score Under': 'totalScoreUnder'
+  };
+  const columns = {};
+  Object.entries(markets).forEach(([header, key]) => {
+    ['Open', 'Min', 'Max', 'Close'].forEach(point => {
+      columns[`${header} ${point}`] = `${key}${point}`;
+    });
+  });
+  return columns;
+}
+
+// { line, record, error } per sheet row, the same shape lib/csv.js streams
+function* readWorkbookRecords(file, sheetName = null) {
+  const workbook = XLSX.readFile(file, { cellDates: true });
+  const name = sheetName || workbook.SheetNames[0];
+  if (!name || !workbook.Sheets[name]) throw new Error(`Sheet not found in ${file}: ${sheetName || '(first sheet)'}`);
+  const rows = XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: null });
+  for (const row of rows) {
+    yield { line: row.__rowNum__ + 1, record: row, error: null };
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  if (typeof value === 'number' && XLSX.SSF?.parse_date_code) {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    if (parsed) return new Date(Date.UTC(parsed.y, parsed.m - 1, parsed.d));
+  }
+  const parsed = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function isYes(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value !== 0;
+  return ['y', 'yes', 'true', 't', '1'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+function nflSeason(date) {
+  return date.getUTCMonth() < 3 ? date.getUTCFullYear() - 1 : date.getUTCFullYear();
+}
+
+function slugify(value) {
+  return String(value || '')
+    .trim()
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// `entries` are { raw } rows already renamed to canonical fields; fills them in place
+function prepareNflRows(entries) {
+  const dated = [];
+  entries.forEach(({ raw }) => {
+    const date = parseDate(raw.startDate);
+    if (!date || !raw.homeTeam || !raw.awayTeam) return;
+    raw.startDate = date.toISOString();
+    if (raw.season === undefined) raw.season = nflSeason(date);
+    raw.playoffGame = isYes(raw.playoffGame) || String(raw.seasonType || '').toLowerCase() === 'postseason';
+    dated.push({ raw, date });
+  });
+
+  const weeks = resolveNflWeeks(dated.map(({ raw }) => raw));
+  dated.forEach(({ raw, date }, index) => {
+    const { week, round, postseason } = weeks[index];
+    if (raw.week === undefined) raw.week = week;
+    if (raw.round === undefined && round) raw.round = round;
+    raw.playoffGame = postseason;
+    raw.neutralSite = isYes(raw.neutralSite);
+    if (raw.seasonType === undefined) raw.seasonType = postseason ? 'postseason' : 'regular';
+    if (raw.id === undefined) {
+      raw.id = `${raw.season}-${slugify(raw.homeTeam)}-${slugify(raw.awayTeam)}-${date.toISOString().slice(0, 10)}`;
+    }
+    Object.entries(MARKET_FALLBACKS).forEach(([key, source]) => {
+      if (raw[key] === undefined && raw[source] !== undefined) raw[key] = raw[source];
+    });
+  });
+}
+
+module.exports = {
+  NFL_WORKBOOK_COLUMNS,
+  readWorkbookRecords,
+  prepareNflRows
+};
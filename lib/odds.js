@@ -0,0 +1,54 @@
+/*
+ * American odds helpers shared by the server-side analytics modules.
+ */
+
+// Price assumed for a spread or total when a book does not publish one
+const STANDARD_PRICE = -110;
+
+function americanToDecimal(ml) {
+  const odds = Number(ml);
+  if (!Number.isFinite(odds) || odds === 0) return null;
+  return odds > 0 ? (odds / 100) + 1 : (100 / Math.abs(odds)) + 1;
+}
+
+function decimalToAmerican(decimal) {
+  const num = Number(decimal);
+  if (!Number.isFinite(num) || num <= 1) return null;
+  if (num >= 2) return Math.round((num - 1) * 100);
+  return -Math.round(100 / (num - 1));
+}
+
+// Raw implied probability, vig included
+function impliedProbability(ml) {
+  const decimal = americanToDecimal(ml);
+  return decimal ? 1 / decimal : null;
+}
+
+// Net profit of a winning bet of `stake` units at American odds `ml`
+function winProfit(ml, stake = 1) {
+  const decimal = americanToDecimal(ml);
+  return decimal ? (decimal - 1) * stake : null;
+}
+
+// Stake needed at `ml` so a winning bet returns `toWin` units of profit
+function stakeToWin(ml, toWin = 1) {
+  const decimal = americanToDecimal(ml);
+  return decimal ? toWin / (decimal - 1) : null;
+}
+
+// Expected profit per unit staked; a push (refund) takes `pushProbability`
+function expectedValue(probability, ml, pushProbability = 0) {
+  const decimal = americanToDecimal(ml);
+  if (!decimal || !Number.isFinite(probability)) return null;
+  return probability * (decimal - 1) - (1 - probability - pushProbability);
+}
+
+module.exports = {
+  STANDARD_PRICE,
+  americanToDecimal,
+  decimalToAmerican,
+  impliedProbability,
+  winProfit,
+  stakeToWin,
+  expectedValue
+};
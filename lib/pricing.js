@@ -0,0 +1,190 @@
+/*
+ * No-vig pricing and bookmaker hold for two-way markets.
+ *
+ * A book's two prices imply probabilities that sum to more than 1; the excess
+ * (the overround) is the vig. Hold is the share of a balanced handle the book
+ * keeps, 1 - 1 / (sum of implied probabilities). removeVig() spreads the
+ * overround back out with one of four methods:
+ *
+ *   multiplicative  scale both probabilities by the same factor
+ *   additive        subtract the same amount from each probability
+ *   power           raise both to the power k that makes them sum to 1
+ *   shin            Shin's insider-trading model, which charges longshots more
+ *
+ * The moneyline uses homeMoneyline/awayMoneyline, spreads and totals the
+ * NFL workbook's line and total prices (`homeLineOddsClose`, ...). NCAAF rows
+ * publish no spread or total prices, so only their moneylines are priced.
+ */
+
+const { decimalToAmerican, impliedProbability } = require('./odds');
+
+const VIG_METHODS = ['multiplicative', 'additive', 'power', 'shin'];
+const DEFAULT_VIG_METHOD = 'multiplicative';
+
+// Price fields for each market's two sides, at the close and at the open
+const MARKET_PRICES = {
+  moneyline: {
+    sides: ['home', 'away'],
+    close: ['homeMoneyline', 'awayMoneyline'],
+    open: ['homeMoneylineOpen', 'awayMoneylineOpen']
+  },
+  spread: {
+    sides: ['home', 'away'],
+    close: ['homeLineOddsClose', 'awayLineOddsClose'],
+    open: ['homeLineOddsOpen', 'awayLineOddsOpen']
+  },
+  total: {
+    sides: ['over', 'under'],
+    close: ['totalScoreOverClose', 'totalScoreUnderClose'],
+    open: ['totalScoreOverOpen', 'totalScoreUnderOpen']
+  }
+};
+
+// Solve increasing/decreasing `fn(x) = target` on [low, high] by bisection
+function bisect(fn, target, low, high, iterations = 60) {
+  const rising = fn(high) > fn(low);
+  let lo = low;
+  let hi = high;
+  for (let i = 0; i < iterations; i++) {
+    const mid = (lo + hi) / 2;
+    if ((fn(mid) < target) === rising) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+const DEVIG = {
+  multiplicative(implied, total) {
+    return implied.map(p => p / total);
+  },
+  additive(implied, total) {
+    const share = (total - 1) / implied.length;
+    const shifted = implied.map(p => Math.max(p - share, 0));
+    const sum = shifted.reduce((acc, p) => acc + p, 0);
+    return shifted.map(p => p / sum);
+  },
+  power(implied) {
+    const sumAt = k => implied.reduce((acc, p) => acc + p ** k, 0);
+    const k = bisect(sumAt, 1, 0.01, 20);
+    return implied.map(p => p ** k);
+  },
+  shin(implied, total) {
+    // No insider share to solve for when there is no overround
+    if (total <= 1) return implied.map(p => p / total);
+    const probabilitiesAt = z => implied.map(p => (
+      (Math.sqrt(z * z + 4 * (1 - z) * (p * p) / total) - z) / (2 * (1 - z))
+    ));
+    const sumAt = z => probabilitiesAt(z).reduce((acc, p) => acc + p, 0);
+    const z = bisect(sumAt, 1, 0, 0.5);
+    const probabilities = probabilitiesAt(z);
+    const sum = probabilities.reduce((acc, p) => acc + p, 0);
+    return probabilities.map(p => p / sum);
+  }
+};
+
+function probabilityToAmerican(probability) {
+  return probability > 0 && probability < 1 ? decimalToAmerican(1 / probability) : null;
+}
+
+// Fair probabilities and odds for one two-way market; null without both prices
+function removeVig(prices, method = DEFAULT_VIG_METHOD) {
+  if (!DEVIG[method]) throw new Error(`Unknown vig method: ${method}`);
+  const implied = prices.map(impliedProbability);
+  if (implied.some(p => p === null)) return null;
+  const total = implied.reduce((acc, p) => acc + p, 0);
+  const probabilities = DEVIG[method](implied, total);
+  return {
+    method,
+    overround: total - 1,
+    hold: 1 - 1 / total,
+    probabilities,
+    fairOdds: probabilities.map(probabilityToAmerican)
+  };
+}
+
+// One market of one book row, keyed by side
+function priceMarket(row, market, options = {}) {
+  const spec = MARKET_PRICES[market];
+  const prices = spec[options.snapshot === 'open' ? 'open' : 'close'].map(field => row[field]);
+  if (!prices.every(Number.isFinite)) return null;
+  const result = removeVig(prices, options.method || DEFAULT_VIG_METHOD);
+  if (!result) return null;
+  const priced = { hold: result.hold, overround: result.overround, method: result.method };
+  spec.sides.forEach((side, index) => {
+    priced[side] = {
+      price: prices[index],
+      probability: result.probabilities[index],
+      fair: result.fairOdds[index]
+    };
+  });
+  return priced;
+}
+
+// Every market a book row prices: { moneyline, spread, total }
+function priceLine(row, options = {}) {
+  const priced = {};
+  Object.keys(MARKET_PRICES).forEach(market => { priced[market] = priceMarket(row, market, options); });
+  return priced;
+}
+
+// Game-level fair odds: the average no-vig probability across the given book lines
+function fairOdds(lines, options = {}) {
+  const fair = {};
+  Object.entries(MARKET_PRICES).forEach(([market, spec]) => {
+    const priced = lines.map(line => priceMarket(line, market, options)).filter(Boolean);
+    if (!priced.length) {
+      fair[market] = null;
+      return;
+    }
+    fair[market] = { books: priced.length };
+    spec.sides.forEach(side => {
+      const probability = priced.reduce((acc, entry) => acc + entry[side].probability, 0) / priced.length;
+      fair[market][side] = { probability, fair: probabilityToAmerican(probability) };
+    });
+  });
+  return fair;
+}
+
+// Average, lowest and highest hold per book and market
+function summarizeHolds(rows) {
+  const byBook = new Map();
+  rows.forEach(row => {
+    const book = row.lineProvider || 'Unknown';
+    if (!byBook.has(book)) byBook.set(book, { book, markets: {} });
+    const entry = byBook.get(book);
+    Object.keys(MARKET_PRICES).forEach(market => {
+      const priced = priceMarket(row, market);
+      if (!priced) return;
+      const stats = entry.markets[market] || { markets: 0, holdSum: 0, minHold: null, maxHold: null };
+      stats.markets += 1;
+      stats.holdSum += priced.hold;
+      stats.minHold = stats.minHold === null ? priced.hold : Math.min(stats.minHold, priced.hold);
+      stats.maxHold = stats.maxHold === null ? priced.hold : Math.max(stats.maxHold, priced.hold);
+      entry.markets[market] = stats;
+    });
+  });
+
+  return Array.from(byBook.values())
+    .map(({ book, markets }) => {
+      const summary = { book };
+      Object.keys(MARKET_PRICES).forEach(market => {
+        const stats = markets[market];
+        summary[market] = stats
+          ? { markets: stats.markets, avgHold: stats.holdSum / stats.markets, minHold: stats.minHold, maxHold: stats.maxHold }
+          : null;
+      });
+      return summary;
+    })
+    .sort((a, b) => a.book.localeCompare(b.book));
+}
+
+module.exports = {
+  VIG_METHODS,
+  DEFAULT_VIG_METHOD,
+  MARKET_PRICES,
+  removeVig,
+  priceMarket,
+  priceLine,
+  fairOdds,
+  summarizeHolds
+};
@@ -0,0 +1,189 @@
+/*
+ * Elo power ratings from historical results.
+ *
+ * Games are consolidated to one record per game and walked in kickoff order.
+ * Each final score moves both teams' ratings by K times a margin-of-victory
+ * multiplier (the FiveThirtyEight form, which damps blowouts by heavy
+ * favorites). The home team gets HOME_FIELD Elo points unless the game is at
+ * a neutral site, and every rating is pulled part of the way back to the mean
+ * before a new season. Model spreads use the same home-quoted sign convention
+ * as `spread`: rating difference / POINTS_PER_ELO, negative when home is
+ * favored.
+ *
+ * Ratings are snapshotted after each week; a week's games carry the
+ * pre-game ratings and model spread so they can be compared to the market.
+ */
+
+const { consolidateGames } = require('./consolidate');
+const { sortByKickoff } = require('./game-schema');
+
+const ELO_SETTINGS = {
+  ncaaf: { mean: 1500, fcsRating: 1200, k: 25, homeField: 55, regression: 1 / 3, pointsPerElo: 25 },
+  nfl: { mean: 1500, fcsRating: 1500, k: 20, homeField: 48, regression: 1 / 3, pointsPerElo: 25 }
+};
+
+function expectedScore(ratingDiff) {
+  return 1 / (1 + 10 ** (-ratingDiff / 400));
+}
+
+// Larger wins count for more, less so when the winner was already favored
+function movMultiplier(margin, winnerDiff) {
+  return Math.log(Math.abs(margin) + 1) * (2.2 / (winnerDiff * 0.001 + 2.2));
+}
+
+function weekKey(game) {
+  return game.seasonType === 'postseason' ? `Post ${game.week}` : String(game.week);
+}
+
+function isFinal(game) {
+  return game.completed !== false && Number.isFinite(game.homeScore) && Number.isFinite(game.awayScore);
+}
+
+// `games` are canonical line rows for one sport, any number of seasons
+function buildRatings(games, sport) {
+  const settings = ELO_SETTINGS[sport] || ELO_SETTINGS.ncaaf;
+  const teams = new Map();
+  const rated = [];
+  // NCAAF bowls overlap the last regular-season week, so a week can be re-entered
+  const weeks = new Map();
+  let season = null;
+  let current = null;
+
+  function team(name, conference, classification) {
+    if (!teams.has(name)) {
+      const rating = classification === 'fcs' ? settings.fcsRating : settings.mean;
+      teams.set(name, { team: name, conference: null, rating, wins: 0, losses: 0, ties: 0 });
+    }
+    const entry = teams.get(name);
+    if (conference) entry.conference = conference;
+    return entry;
+  }
+
+  function snapshot() {
+    if (!current) return;
+    current.ratings = Array.from(teams.values(), entry => ({ ...entry }));
+  }
+
+  sortByKickoff(consolidateGames(games)).forEach(game => {
+    if (game.season !== season) {
+      snapshot();
+      current = null;
+      season = game.season;
+      teams.forEach(entry => {
+        entry.rating = settings.mean + (entry.rating - settings.mean) * (1 - settings.regression);
+        entry.wins = 0;
+        entry.losses = 0;
+        entry.ties = 0;
+      });
+    }
+    const key = weekKey(game);
+    if (!current || current.week !== key) {
+      snapshot();
+      const id = `${game.season}|${key}`;
+      if (!weeks.has(id)) weeks.set(id, { season: game.season, week: key, games: [] });
+      current = weeks.get(id);
+    }
+
+    const home = team(game.homeTeam, game.homeConference, game.homeClassification);
+    const away = team(game.awayTeam, game.awayConference, game.awayClassification);
+    const homeField = game.neutralSite ? 0 : settings.homeField;
+    const diff = home.rating + homeField - away.rating;
+    const modelSpread = -diff / settings.pointsPerElo;
+    const marketSpread = Number.isFinite(game.consensus?.spread) ? game.consensus.spread : null;
+
+    const record = {
+      id: game.id,
+      season: game.season,
+      week: key,
+      startDate: game.startDate,
+      homeTeam: game.homeTeam,
+      awayTeam: game.awayTeam,
+      neutralSite: Boolean(game.neutralSite),
+      homeRating: home.rating,
+      awayRating: away.rating,
+      homeWinProbability: expectedScore(diff),
+      modelSpread,
+      marketSpread,
+      edge: marketSpread === null ? null : marketSpread - modelSpread,
+      homeScore: game.homeScore,
+      awayScore: game.awayScore,
+      completed: isFinal(game)
+    };
+    current.games.push(record);
+    rated.push(record);
+    if (!record.completed) return;
+
+    const margin = game.homeScore - game.awayScore;
+    const actual = margin > 0 ? 1 : margin < 0 ? 0 : 0.5;
+    const winnerDiff = margin >= 0 ? diff : -diff;
+    const shift = settings.k * movMultiplier(margin, winnerDiff) * (actual - expectedScore(diff));
+    home.rating += shift;
+    away.rating -= shift;
+    if (margin > 0) { home.wins += 1; away.losses += 1; }
+    if (margin < 0) { home.losses += 1; away.wins += 1; }
+    if (margin === 0) { home.ties += 1; away.ties += 1; }
+  });
+  snapshot();
+
+  return { settings, weeks: Array.from(weeks.values()), games: rated };
+}
+
+// How the model's spreads did against final margins and the market's spreads
+function summarizeAccuracy(games) {
+  const graded = games.filter(game => game.completed);
+  const withMarket = graded.filter(game => game.marketSpread !== null);
+  const absError = (game, spread) => Math.abs(game.homeScore - game.awayScore + spread);
+  const mean = (list, fn) => (list.length ? list.reduce((acc, game) => acc + fn(game), 0) / list.length : null);
+  const decided = graded.filter(game => game.homeScore !== game.awayScore && game.modelSpread !== 0);
+  return {
+    games: graded.length,
+    straightUpHitRate: decided.length
+      ? decided.filter(game => (game.modelSpread < 0) === (game.homeScore > game.awayScore)).length / decided.length
+      : null,
+    modelMae: mean(graded, game => absError(game, game.modelSpread)),
+    marketGames: withMarket.length,
+    modelMaeVsMarketGames: mean(withMarket, game => absError(game, game.modelSpread)),
+    marketMae: mean(withMarket, game => absError(game, game.marketSpread))
+  };
+}
+
+// Ratings as of the end of a week (the season's last week by default)
+function ratingsForWeek(result, season, week) {
+  const seasonWeeks = result.weeks.filter(entry => entry.season === Number(season));
+  if (!seasonWeeks.length) return null;
+  const position = week ? seasonWeeks.findIndex(entry => entry.week === String(week)) : seasonWeeks.length - 1;
+  if (position === -1) return null;
+
+  const selected = seasonWeeks[position];
+  const previous = seasonWeeks[position - 1];
+  const before = new Map((previous ? previous.ratings : []).map(entry => [entry.team, entry.rating]));
+  const seasonTeams = new Set(result.games
+    .filter(game => game.season === selected.season)
+    .flatMap(game => [game.homeTeam, game.awayTeam]));
+
+  const ratings = selected.ratings
+    .filter(entry => seasonTeams.has(entry.team))
+    .sort((a, b) => b.rating - a.rating)
+    .map((entry, index) => ({
+      rank: index + 1,
+      ...entry,
+      change: before.has(entry.team) ? entry.rating - before.get(entry.team) : null
+    }));
+
+  return {
+    season: selected.season,
+    week: selected.week,
+    weeks: seasonWeeks.map(entry => entry.week),
+    ratings,
+    games: selected.games,
+    accuracy: summarizeAccuracy(result.games.filter(game => game.season === selected.season))
+  };
+}
+
+module.exports = {
+  ELO_SETTINGS,
+  expectedScore,
+  buildRatings,
+  ratingsForWeek,
+  summarizeAccuracy
+};
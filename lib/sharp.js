@@ -0,0 +1,206 @@
+/*
+ * Sharp money signals from opening vs. closing lines.
+ *
+ * The same steam and reverse-line-movement rules computeNFLMetrics() applies
+ * to the NFL workbook history, generalized to any book row that carries an
+ * opening and closing spread or total (`openingSpread`/`spread`,
+ * `openingOverUnder`/`overUnder`). Each book's move is checked on its own;
+ * a game raises an alert when at least `minBooks` books fire the same signal.
+ * Alerts are then rolled up by conference and by week.
+ */
+
+const { gradeGame } = require('./grading');
+
+const SIGNAL_THRESHOLDS = {
+  spreadSteam: 2.5,
+  totalSteam: 2
+};
+
+function average(values) {
+  const nums = values.filter(Number.isFinite);
+  return nums.length ? nums.reduce((acc, value) => acc + value, 0) / nums.length : null;
+}
+
+// Signals for one book's open -> close move
+function detectSignals(move) {
+  const signals = [];
+  const { spreadOpen, spreadClose, spreadMove, totalMove } = move;
+  if (spreadMove !== null && Math.abs(spreadMove) >= SIGNAL_THRESHOLDS.spreadSteam) signals.push('SPREAD STEAM');
+
+  // The line moved back toward the underdog after opening
+  if (spreadOpen !== null && spreadClose !== null) {
+    if ((spreadOpen < 0 && spreadClose > spreadOpen) || (spreadOpen > 0 && spreadClose < spreadOpen)) {
+      signals.push('REVERSE');
+    }
+  }
+
+  if (totalMove !== null && Math.abs(totalMove) >= SIGNAL_THRESHOLDS.totalSteam) signals.push('TOTAL STEAM');
+  return signals;
+}
+
+function bookMove(row) {
+  const spreadOpen = Number.isFinite(row.openingSpread) ? row.openingSpread : null;
+  const spreadClose = Number.isFinite(row.spread) ? row.spread : null;
+  const totalOpen = Number.isFinite(row.openingOverUnder) ? row.openingOverUnder : null;
+  const totalClose = Number.isFinite(row.overUnder) ? row.overUnder : null;
+  const move = {
+    book: row.lineProvider,
+    spreadOpen,
+    spreadClose,
+    spreadMove: spreadOpen !== null && spreadClose !== null ? spreadClose - spreadOpen : null,
+    totalOpen,
+    totalClose,
+    totalMove: totalOpen !== null && totalClose !== null ? totalClose - totalOpen : null
+  };
+  move.signals = detectSignals(move);
+  return move;
+}
+
+// Which side the money moved toward; spreads are quoted from the home side
+function moveSides(spreadMove, totalMove) {
+  return {
+    side: spreadMove ? (spreadMove < 0 ? 'home' : 'away') : null,
+    totalSide: totalMove ? (totalMove > 0 ? 'over' : 'under') : null
+  };
+}
+
+function buildAlert(rows, minBooks) {
+  const moves = rows.map(bookMove).filter(move => move.spreadMove !== null || move.totalMove !== null);
+  if (!moves.length) return null;
+
+  const counts = {};
+  moves.forEach(move => move.signals.forEach(signal => { counts[signal] = (counts[signal] || 0) + 1; }));
+  const signals = Object.keys(counts).filter(signal => counts[signal] >= minBooks);
+  if (!signals.length) return null;
+
+  // Averages only use books that have both the open and the close
+  const spreadMoves = moves.filter(move => move.spreadMove !== null);
+  const totalMoves = moves.filter(move => move.totalMove !== null);
+  const spreadOpen = average(spreadMoves.map(move => move.spreadOpen));
+  const spreadClose = average(spreadMoves.map(move => move.spreadClose));
+  const totalOpen = average(totalMoves.map(move => move.totalOpen));
+  const totalClose = average(totalMoves.map(move => move.totalClose));
+  const spreadMove = average(spreadMoves.map(move => move.spreadMove));
+  const totalMove = average(totalMoves.map(move => move.totalMove));
+  const { side, totalSide } = moveSides(spreadMove, totalMove);
+
+  // Grade each side of the move against the average closing number
+  const game = rows[0];
+  const grade = gradeGame({ ...game, spread: spreadClose, overUnder: totalClose });
+  const sideResult = grade && grade.ats && side ? (grade.ats.push ? 'push' : grade.ats.result === side ? 'win' : 'loss') : null;
+  const totalResult = grade && grade.ou && totalSide ? (grade.ou.result === 'push' ? 'push' : grade.ou.result === totalSide ? 'win' : 'loss') : null;
+
+  return {
+    id: game.id,
+    sport: game.sport,
+    season: game.season,
+    week: game.week,
+    seasonType: game.seasonType,
+    startDate: game.startDate,
+    homeTeam: game.homeTeam,
+    awayTeam: game.awayTeam,
+    homeConference: game.homeConference,
+    awayConference: game.awayConference,
+    signals,
+    signalBooks: counts,
+    bookCount: moves.length,
+    spreadOpen,
+    spreadClose,
+    spreadMove,
+    totalOpen,
+    totalClose,
+    totalMove,
+    side,
+    totalSide,
+    strength: Number((Math.abs(spreadMove ?? 0) + Math.abs(totalMove ?? 0) * 0.5 + signals.length).toFixed(2)),
+    sideResult,
+    totalResult,
+    moves
+  };
+}
+
+function createSummary(key) {
+  return { key, alerts: 0, spreadSteam: 0, reverse: 0, totalSteam: 0, moveSum: 0, totalMoveSum: 0, sideWins: 0, sideLosses: 0 };
+}
+
+function addToSummary(summary, alert) {
+  summary.alerts += 1;
+  if (alert.signals.includes('SPREAD STEAM')) summary.spreadSteam += 1;
+  if (alert.signals.includes('REVERSE')) summary.reverse += 1;
+  if (alert.signals.includes('TOTAL STEAM')) summary.totalSteam += 1;
+  summary.moveSum += Math.abs(alert.spreadMove ?? 0);
+  summary.totalMoveSum += Math.abs(alert.totalMove ?? 0);
+  if (alert.sideResult === 'win') summary.sideWins += 1;
+  if (alert.sideResult === 'loss') summary.sideLosses += 1;
+}
+
+function finalizeSummaries(map) {
+  return Array.from(map.values())
+    .map(({ moveSum, totalMoveSum, ...summary }) => ({
+      ...summary,
+      avgSpreadMove: summary.alerts ? moveSum / summary.alerts : null,
+      avgTotalMove: summary.alerts ? totalMoveSum / summary.alerts : null,
+      sideCoverRate: summary.sideWins + summary.sideLosses
+        ? summary.sideWins / (summary.sideWins + summary.sideLosses)
+        : null
+    }))
+    .sort((a, b) => b.alerts - a.alerts);
+}
+
+// NCAAF restarts week numbers for the postseason, so keep those weeks apart
+function weekKey(alert) {
+  if (alert.week === null || alert.week === undefined) return null;
+  return alert.seasonType === 'postseason' ? `Post ${alert.week}` : alert.week;
+}
+
+function compareWeekKeys(a, b) {
+  const aPost = typeof a === 'string';
+  const bPost = typeof b === 'string';
+  if (aPost !== bPost) return aPost ? 1 : -1;
+  return aPost ? a.localeCompare(b, undefined, { numeric: true }) : a - b;
+}
+
+function addGrouped(map, key, alert) {
+  if (key === null || key === undefined || key === '') return;
+  if (!map.has(key)) map.set(key, createSummary(key));
+  addToSummary(map.get(key), alert);
+}
+
+// `games` are canonical line rows (one per game per book)
+function detectSharpMoves(games, options = {}) {
+  const minBooks = Math.max(1, Number(options.minBooks) || 1);
+  const groups = new Map();
+  games.forEach(game => {
+    const key = `${game.sport}|${game.id}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(game);
+  });
+
+  const alerts = Array.from(groups.values())
+    .map(rows => buildAlert(rows, minBooks))
+    .filter(Boolean)
+    .sort((a, b) => b.strength - a.strength);
+
+  const byConference = new Map();
+  const byWeek = new Map();
+  alerts.forEach(alert => {
+    addGrouped(byConference, alert.homeConference, alert);
+    if (alert.awayConference !== alert.homeConference) addGrouped(byConference, alert.awayConference, alert);
+    addGrouped(byWeek, weekKey(alert), alert);
+  });
+
+  return {
+    games: groups.size,
+    thresholds: SIGNAL_THRESHOLDS,
+    minBooks,
+    alerts,
+    byConference: finalizeSummaries(byConference),
+    byWeek: finalizeSummaries(byWeek).sort((a, b) => compareWeekKeys(a.key, b.key))
+  };
+}
+
+module.exports = {
+  SIGNAL_THRESHOLDS,
+  detectSignals,
+  detectSharpMoves
+};
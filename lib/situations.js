@@ -0,0 +1,201 @@
+/*
+ * Situational spots from the schedule.
+ *
+ * Games are consolidated and laid out as each team's schedule in kickoff
+ * order, so every team-game can be described by where it falls:
+ *
+ *   offBye          at least OFF_BYE_DAYS since the team's previous game
+ *   shortWeek       SHORT_WEEK_DAYS or fewer since the previous game
+ *   backToBackRoad  a road game straight after another road game
+ *   revenge         the opponent won the last meeting between the two
+ *   letdown         the previous game was an outright win as an underdog of UPSET_SPREAD+
+ *   lookahead       favored by UPSET_SPREAD+ with the next game as an underdog
+ *
+ * Rest, bye and previous/next games only look within the same season;
+ * neutral-site games count as neither home nor road. Team spreads come from
+ * the consensus line. Lookahead reads the next game's closing spread, so it
+ * is a hindsight label rather than something known at kickoff. Games missing
+ * from the data (mostly NCAAF games against FCS teams) show up as extra rest.
+ *
+ * Every team-game together always covers exactly half the time, so a spot is
+ * judged against the team-games outside it, with home/road and
+ * favorite/underdog splits as the reference records.
+ */
+
+const { consolidateGames } = require('./consolidate');
+const { sortByKickoff } = require('./game-schema');
+const { gradeGame, createRecord, addToRecord, finalizeRecord } = require('./grading');
+
+const OFF_BYE_DAYS = 12;
+const SHORT_WEEK_DAYS = 5;
+const UPSET_SPREAD = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SITUATIONS = [
+  { key: 'offBye', label: 'Off a bye', description: `${OFF_BYE_DAYS}+ days since the last game` },
+  { key: 'shortWeek', label: 'Short week', description: `${SHORT_WEEK_DAYS} or fewer days since the last game` },
+  { key: 'backToBackRoad', label: 'Back-to-back road', description: 'Second straight road game' },
+  { key: 'revenge', label: 'Revenge rematch', description: 'Lost the last meeting with this opponent' },
+  { key: 'letdown', label: 'Letdown spot', description: `Won outright as a ${UPSET_SPREAD}+ point underdog last game` },
+  { key: 'lookahead', label: 'Lookahead spot', description: `Favored by ${UPSET_SPREAD}+ with an underdog spot next game` }
+];
+
+function daysBetween(earlier, later) {
+  const start = new Date(earlier || 0).getTime();
+  const end = new Date(later || 0).getTime();
+  if (!start || !end) return null;
+  return Math.round((end - start) / DAY_MS);
+}
+
+// One entry per team per game, from that team's side
+function teamGames(game) {
+  const grade = gradeGame({ ...game, ...game.consensus });
+  const spread = Number.isFinite(game.consensus.spread) ? game.consensus.spread : null;
+  return ['home', 'away'].map(side => {
+    const isHome = side === 'home';
+    return {
+      game,
+      grade,
+      side,
+      team: isHome ? game.homeTeam : game.awayTeam,
+      opponent: isHome ? game.awayTeam : game.homeTeam,
+      location: game.neutralSite ? 'neutral' : side,
+      teamSpread: spread === null ? null : isHome ? spread : -spread,
+      won: grade ? grade.winner === side : null
+    };
+  });
+}
+
+function pairKey(a, b) {
+  return [a, b].sort().join('|');
+}
+
+// `games` are canonical line rows for one sport; load every season so revenge
+// spots can reach back to last year's meeting
+function buildSituations(games) {
+  const schedules = new Map();
+  const lastMeeting = new Map();
+  const entries = [];
+
+  sortByKickoff(consolidateGames(games)).forEach(game => {
+    const key = pairKey(game.homeTeam, game.awayTeam);
+    const previousWinner = lastMeeting.get(key) || null;
+    teamGames(game).forEach(entry => {
+      entry.revenge = previousWinner === entry.opponent;
+      if (!schedules.has(entry.team)) schedules.set(entry.team, []);
+      schedules.get(entry.team).push(entry);
+      entries.push(entry);
+    });
+    if (game.homeScore !== game.awayScore && gradeGame(game)) {
+      lastMeeting.set(key, game.homeScore > game.awayScore ? game.homeTeam : game.awayTeam);
+    }
+  });
+
+  schedules.forEach(schedule => {
+    schedule.forEach((entry, index) => {
+      const sameSeason = other => (other && other.game.season === entry.game.season ? other : null);
+      const previous = sameSeason(schedule[index - 1]);
+      const next = sameSeason(schedule[index + 1]);
+      entry.restDays = previous ? daysBetween(previous.game.startDate, entry.game.startDate) : null;
+      entry.offBye = entry.restDays !== null && entry.restDays >= OFF_BYE_DAYS;
+      entry.shortWeek = entry.restDays !== null && entry.restDays <= SHORT_WEEK_DAYS;
+      entry.backToBackRoad = entry.location === 'away' && previous?.location === 'away';
+      entry.letdown = Boolean(previous && previous.won && previous.teamSpread !== null && previous.teamSpread >= UPSET_SPREAD);
+      entry.lookahead = Boolean(
+        next && entry.teamSpread !== null && entry.teamSpread <= -UPSET_SPREAD &&
+        next.teamSpread !== null && next.teamSpread > 0
+      );
+    });
+  });
+
+  return entries.map(entry => {
+    const { game } = entry;
+    const features = {};
+    SITUATIONS.forEach(situation => { features[situation.key] = entry[situation.key]; });
+    return {
+      id: game.id,
+      season: game.season,
+      week: game.week,
+      seasonType: game.seasonType,
+      startDate: game.startDate,
+      team: entry.team,
+      opponent: entry.opponent,
+      conference: entry.side === 'home' ? game.homeConference : game.awayConference,
+      side: entry.side,
+      location: entry.location,
+      teamSpread: entry.teamSpread,
+      restDays: entry.restDays,
+      ...features,
+      grade: entry.grade
+    };
+  });
+}
+
+// Reference splits that are not 50/50 by construction, unlike every team-game
+const BASELINES = [
+  { key: 'home', label: 'Home teams', description: 'Every home team, neutral sites excluded', matches: entry => entry.location === 'home' },
+  { key: 'road', label: 'Road teams', description: 'Every road team, neutral sites excluded', matches: entry => entry.location === 'away' },
+  { key: 'favorite', label: 'Favorites', description: 'Every favorite, pick\'em games excluded', matches: entry => entry.teamSpread !== null && entry.teamSpread < 0 },
+  { key: 'underdog', label: 'Underdogs', description: 'Every underdog, pick\'em games excluded', matches: entry => entry.teamSpread !== null && entry.teamSpread > 0 }
+];
+
+// ATS records are counted from the team in question and O/U once per game.
+// Records count team-games, so a game with both teams in a spot counts twice.
+function createTally(key) {
+  return { record: createRecord(key), seen: new Set() };
+}
+
+function addToTally(tally, entry) {
+  const grade = tally.seen.has(entry.id) ? { ...entry.grade, ou: null } : entry.grade;
+  tally.seen.add(entry.id);
+  addToRecord(tally.record, grade, entry.side);
+}
+
+function finalizeTally(tally) {
+  const { games, ...record } = finalizeRecord(tally.record);
+  return { ...record, teamGames: games };
+}
+
+// Each spot is compared with the team-games outside it under the same filters
+// (`others`); `coverRateEdge` is the spot's cover rate minus theirs.
+function summarizeSituations(entries) {
+  const spots = new Map(SITUATIONS.map(situation => [situation.key, createTally(situation.key)]));
+  const others = new Map(SITUATIONS.map(situation => [situation.key, createTally(situation.key)]));
+  const baselines = new Map(BASELINES.map(baseline => [baseline.key, createTally(baseline.key)]));
+
+  entries.forEach(entry => {
+    if (!entry.grade) return;
+    SITUATIONS.forEach(situation => {
+      addToTally((entry[situation.key] ? spots : others).get(situation.key), entry);
+    });
+    BASELINES.forEach(baseline => {
+      if (baseline.matches(entry)) addToTally(baselines.get(baseline.key), entry);
+    });
+  });
+
+  return {
+    baselines: BASELINES.map(({ matches, ...baseline }) => ({
+      ...baseline,
+      ...finalizeTally(baselines.get(baseline.key))
+    })),
+    situations: SITUATIONS.map(situation => {
+      const spot = finalizeTally(spots.get(situation.key));
+      const rest = finalizeTally(others.get(situation.key));
+      return {
+        ...situation,
+        ...spot,
+        others: rest,
+        coverRateEdge: spot.coverRate !== null && rest.coverRate !== null ? spot.coverRate - rest.coverRate : null
+      };
+    })
+  };
+}
+
+module.exports = {
+  OFF_BYE_DAYS,
+  SHORT_WEEK_DAYS,
+  UPSET_SPREAD,
+  SITUATIONS,
+  buildSituations,
+  summarizeSituations
+};
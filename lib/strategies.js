@@ -0,0 +1,94 @@
+/*
+ * Saved backtest rules.
+ *
+ * Named rules built in the dashboard's backtester are kept next to the bet
+ * journal in a small JSON file under `data/` (set STRATEGIES_FILE to move
+ * it). Each entry is { id, name, sport, rule, createdAt, updatedAt } where
+ * `rule` is the lib/backtest.js rule shape.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { SPORTS } = require('./game-schema');
+const { normalizeRule, validateRule } = require('./backtest');
+
+const STRATEGIES_FILE = process.env.STRATEGIES_FILE || path.join(__dirname, '..', 'data', 'strategies.json');
+
+function readStrategies() {
+  if (!fs.existsSync(STRATEGIES_FILE)) return [];
+  return JSON.parse(fs.readFileSync(STRATEGIES_FILE, 'utf8'));
+}
+
+function writeStrategies(strategies) {
+  fs.mkdirSync(path.dirname(STRATEGIES_FILE), { recursive: true });
+  fs.writeFileSync(STRATEGIES_FILE, JSON.stringify(strategies, null, 1));
+}
+
+function normalizeStrategy(input) {
+  return {
+    id: input.id || null,
+    name: String(input.name || '').trim(),
+    sport: String(input.sport || '').trim().toLowerCase(),
+    rule: normalizeRule(input.rule || {}),
+    createdAt: input.createdAt || null,
+    updatedAt: input.updatedAt || null
+  };
+}
+
+function validateStrategy(strategy) {
+  const errors = [];
+  if (!strategy.name) errors.push('name is required');
+  if (!SPORTS.includes(strategy.sport)) errors.push(`sport must be one of ${SPORTS.join(', ')}`);
+  return errors.concat(validateRule(strategy.rule));
+}
+
+function listStrategies(filters = {}) {
+  return readStrategies().filter(entry => !filters.sport || entry.sport === String(filters.sport).toLowerCase());
+}
+
+// Returns { strategy } on success or { errors } when the input is invalid
+function saveStrategy(input) {
+  const strategy = normalizeStrategy(input);
+  const errors = validateStrategy(strategy);
+  if (errors.length) return { errors };
+  const now = new Date().toISOString();
+  strategy.id = crypto.randomUUID();
+  strategy.createdAt = now;
+  strategy.updatedAt = now;
+  const strategies = readStrategies();
+  strategies.push(strategy);
+  writeStrategies(strategies);
+  return { strategy };
+}
+
+// Merges `input` over the stored rule; null when the id is unknown
+function updateStrategy(id, input) {
+  const strategies = readStrategies();
+  const index = strategies.findIndex(entry => entry.id === id);
+  if (index === -1) return null;
+  const strategy = normalizeStrategy({ ...strategies[index], ...input, id });
+  const errors = validateStrategy(strategy);
+  if (errors.length) return { errors };
+  strategy.createdAt = strategies[index].createdAt;
+  strategy.updatedAt = new Date().toISOString();
+  strategies[index] = strategy;
+  writeStrategies(strategies);
+  return { strategy };
+}
+
+function deleteStrategy(id) {
+  const strategies = readStrategies();
+  const remaining = strategies.filter(entry => entry.id !== id);
+  if (remaining.length === strategies.length) return false;
+  writeStrategies(remaining);
+  return true;
+}
+
+module.exports = {
+  STRATEGIES_FILE,
+  listStrategies,
+  saveStrategy,
+  updateStrategy,
+  deleteStrategy
+};
@@ -0,0 +1,172 @@
+/*
+ * Versioned registry of team names and season-dated affiliations.
+ *
+ * data/team-registry.json (override with TEAM_REGISTRY_FILE) lists every team
+ * per sport:
+ *
+ *   { "name": "Las Vegas Raiders",
+ *     "formerNames": [{ "name": "Oakland Raiders", "to": 2019 }],
+ *     "aliases": ["LV Raiders"],
+ *     "conferences": [{ "conference": "AFC West", "from": 2002 }] }
+ *
+ * `name` is the current name; a former name replaces it for the seasons its
+ * from/to range covers, so relocated and renamed franchises keep the name they
+ * played under. Aliases are other spellings a source may use. Conference (or
+ * NFL division) memberships are dated the same way; a missing `from` or `to`
+ * leaves that end open. Names are matched ignoring case, accents, apostrophes
+ * and periods, so "Hawaii" finds "Hawai'i" and "San Jose State" finds
+ * "San José State".
+ *
+ * `version` is the file format; bump REGISTRY_VERSION when it changes.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { SPORTS } = require('./game-schema');
+
+const REGISTRY_VERSION = 1;
+// data-store.js loads this module, so the data directory is spelled out here
+const REGISTRY_FILE = process.env.TEAM_REGISTRY_FILE || path.join(__dirname, '..', 'data', 'team-registry.json');
+
+function teamKey(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2019.]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9&]+/g, ' ')
+    .trim();
+}
+
+function inRange(range, season) {
+  return (range.from === undefined || season >= range.from) && (range.to === undefined || season <= range.to);
+}
+
+function rangeErrors(range, label) {
+  const errors = [];
+  ['from', 'to'].forEach(key => {
+    if (range[key] !== undefined && !Number.isInteger(range[key])) errors.push(`${label}.${key} must be a season`);
+  });
+  if (Number.isInteger(range.from) && Number.isInteger(range.to) && range.from > range.to) {
+    errors.push(`${label} ends before it starts`);
+  }
+  return errors;
+}
+
+function overlaps(a, b) {
+  const aFrom = a.from ?? -Infinity;
+  const aTo = a.to ?? Infinity;
+  return aFrom <= (b.to ?? Infinity) && (b.from ?? -Infinity) <= aTo;
+}
+
+// Return a list of human-readable problems; an empty list means the registry is usable
+function validateRegistry(registry) {
+  if (!registry || typeof registry !== 'object') return ['registry must be an object'];
+  if (registry.version !== REGISTRY_VERSION) {
+    return [`unsupported registry version ${registry.version} (expected ${REGISTRY_VERSION})`];
+  }
+  const errors = [];
+  SPORTS.forEach(sport => {
+    const teams = registry[sport] || [];
+    if (!Array.isArray(teams)) {
+      errors.push(`${sport} must be a list of teams`);
+      return;
+    }
+    const owners = new Map();
+    teams.forEach((team, index) => {
+      const label = `${sport}[${index}]`;
+      if (!team || typeof team.name !== 'string' || !team.name.trim()) {
+        errors.push(`${label}.name is required`);
+        return;
+      }
+      const formerNames = team.formerNames || [];
+      const conferences = team.conferences || [];
+      formerNames.forEach((former, i) => {
+        if (!former || typeof former.name !== 'string') errors.push(`${team.name}: formerNames[${i}].name is required`);
+        else errors.push(...rangeErrors(former, `${team.name}: formerNames[${i}]`));
+      });
+      conferences.forEach((membership, i) => {
+        if (!membership || typeof membership.conference !== 'string') {
+          errors.push(`${team.name}: conferences[${i}].conference is required`);
+          return;
+        }
+        errors.push(...rangeErrors(membership, `${team.name}: conferences[${i}]`));
+        conferences.slice(0, i).forEach((other, j) => {
+          if (other && overlaps(other, membership)) errors.push(`${team.name}: conferences[${j}] and [${i}] overlap`);
+        });
+      });
+      const names = [team.name, ...formerNames.map(former => former && former.name), ...(team.aliases || [])];
+      names.filter(Boolean).forEach(name => {
+        const key = teamKey(name);
+        if (owners.has(key) && owners.get(key) !== team.name) {
+          errors.push(`${sport}: "${name}" is claimed by both ${owners.get(key)} and ${team.name}`);
+        }
+        owners.set(key, team.name);
+      });
+    });
+  });
+  return errors;
+}
+
+// Lookup helpers over a parsed registry
+function createTeamRegistry(registry) {
+  const lookups = {};
+  SPORTS.forEach(sport => {
+    const byKey = new Map();
+    (registry[sport] || []).forEach(team => {
+      [team.name, ...(team.formerNames || []).map(former => former.name), ...(team.aliases || [])]
+        .forEach(name => byKey.set(teamKey(name), team));
+    });
+    lookups[sport] = byKey;
+  });
+
+  // { name, conference } for the team in that season, or null when the
+  // registry does not know the name; conference is null outside every membership
+  function resolveTeam(sport, name, season) {
+    const team = lookups[sport] && lookups[sport].get(teamKey(name));
+    if (!team) return null;
+    const seasonNumber = Number(season);
+    const dated = Number.isFinite(seasonNumber);
+    const former = dated ? (team.formerNames || []).find(entry => inRange(entry, seasonNumber)) : null;
+    const membership = dated ? (team.conferences || []).find(entry => inRange(entry, seasonNumber)) : null;
+    return {
+      name: former ? former.name : team.name,
+      conference: membership ? membership.conference : null
+    };
+  }
+
+  return { version: registry.version, resolveTeam };
+}
+
+function loadTeamRegistry(file = REGISTRY_FILE) {
+  const registry = JSON.parse(fs.readFileSync(file, 'utf8'));
+  const errors = validateRegistry(registry);
+  if (errors.length) throw new Error(`Invalid team registry ${file}: ${errors.join('; ')}`);
+  return createTeamRegistry(registry);
+}
+
+// Rename a canonical game's teams and set each side's conference for its
+// season. Source conferences stay where the registry has no membership.
+// Names the registry does not know are added to `unknown`, when given.
+function applyTeamRegistry(game, registry, unknown = null) {
+  [['homeTeam', 'homeConference'], ['awayTeam', 'awayConference']].forEach(([teamField, conferenceField]) => {
+    const resolved = registry.resolveTeam(game.sport, game[teamField], game.season);
+    if (!resolved) {
+      if (unknown && game[teamField]) unknown.add(game[teamField]);
+      return;
+    }
+    game[teamField] = resolved.name;
+    if (resolved.conference) game[conferenceField] = resolved.conference;
+  });
+  return game;
+}
+
+module.exports = {
+  REGISTRY_VERSION,
+  REGISTRY_FILE,
+  teamKey,
+  validateRegistry,
+  createTeamRegistry,
+  loadTeamRegistry,
+  applyTeamRegistry
+};
@@ -0,0 +1,151 @@
+/*
+ * Team Analyzer profiles.
+ *
+ * buildTeamProfile() takes every line row involving a team, consolidates the
+ * books into one game each, and grades the consensus line from that team's
+ * side: straight-up, ATS and O/U records, home/away/neutral and
+ * favorite/underdog splits, flat-stake moneyline ROI by season, and a list of
+ * the most recent games.
+ */
+
+const { consolidateGames } = require('./consolidate');
+const { gradeGame, createRecord, addToRecord, finalizeRecord } = require('./grading');
+const { winProfit } = require('./odds');
+
+const RECENT_GAMES = 10;
+
+function sameTeam(a, b) {
+  return String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+}
+
+function listTeams(games) {
+  return [...new Set(games.flatMap(g => [g.homeTeam, g.awayTeam]).filter(Boolean))].sort();
+}
+
+// Re-express a consolidated game from the team's side of the ball
+function teamView(game, team) {
+  const side = sameTeam(game.homeTeam, team) ? 'home' : 'away';
+  const isHome = side === 'home';
+  const { spread, overUnder, homeMoneyline, awayMoneyline } = game.consensus;
+  const grade = gradeGame({ ...game, spread, overUnder });
+  const teamSpread = Number.isFinite(grade?.ats?.spread) ? (isHome ? grade.ats.spread : -grade.ats.spread) : null;
+
+  return {
+    game,
+    side,
+    grade,
+    location: game.neutralSite ? 'neutral' : side,
+    role: teamSpread === null || teamSpread === 0 ? null : teamSpread < 0 ? 'favorite' : 'underdog',
+    opponent: isHome ? game.awayTeam : game.homeTeam,
+    teamScore: isHome ? game.homeScore : game.awayScore,
+    opponentScore: isHome ? game.awayScore : game.homeScore,
+    teamSpread,
+    total: overUnder,
+    moneyline: isHome ? homeMoneyline : awayMoneyline
+  };
+}
+
+function createSplit(key) {
+  return { ...createRecord(key), wins: 0, losses: 0, ties: 0 };
+}
+
+function addToSplit(split, view) {
+  if (!view.grade) return;
+  if (view.grade.winner === 'tie') split.ties += 1;
+  else if (view.grade.winner === view.side) split.wins += 1;
+  else split.losses += 1;
+  addToRecord(split, view.grade, view.side);
+}
+
+function resultLetter(view) {
+  if (!view.grade) return null;
+  if (view.grade.winner === 'tie') return 'T';
+  return view.grade.winner === view.side ? 'W' : 'L';
+}
+
+function atsLetter(view) {
+  const ats = view.grade?.ats;
+  if (!ats) return null;
+  if (ats.push) return 'P';
+  return ats.result === view.side ? 'W' : 'L';
+}
+
+// One unit on the team's consensus moneyline every game it has a price
+function moneylineBySeason(views) {
+  const seasons = new Map();
+  views.forEach(view => {
+    if (!view.grade || view.grade.winner === 'tie' || !Number.isFinite(view.moneyline)) return;
+    const season = view.game.season;
+    if (!seasons.has(season)) seasons.set(season, { season, bets: 0, wins: 0, units: 0 });
+    const entry = seasons.get(season);
+    entry.bets += 1;
+    if (view.grade.winner === view.side) {
+      entry.wins += 1;
+      entry.units += winProfit(view.moneyline);
+    } else {
+      entry.units -= 1;
+    }
+  });
+  return Array.from(seasons.values())
+    .sort((a, b) => b.season - a.season)
+    .map(entry => ({ ...entry, roi: entry.bets ? entry.units / entry.bets : null }));
+}
+
+// Returns null when the team has no games in `games`
+function buildTeamProfile(games, team) {
+  const teamGames = consolidateGames(games.filter(g => sameTeam(g.homeTeam, team) || sameTeam(g.awayTeam, team)));
+  if (!teamGames.length) return null;
+
+  const views = teamGames
+    .sort((a, b) => new Date(b.startDate || 0) - new Date(a.startDate || 0))
+    .map(game => teamView(game, team));
+  const latest = views[0];
+  const name = latest.side === 'home' ? latest.game.homeTeam : latest.game.awayTeam;
+
+  const record = createSplit('all');
+  const splits = {
+    home: createSplit('home'),
+    away: createSplit('away'),
+    neutral: createSplit('neutral'),
+    favorite: createSplit('favorite'),
+    underdog: createSplit('underdog')
+  };
+  views.forEach(view => {
+    addToSplit(record, view);
+    addToSplit(splits[view.location], view);
+    if (view.role) addToSplit(splits[view.role], view);
+  });
+
+  const finalizedSplits = {};
+  Object.entries(splits).forEach(([key, split]) => { finalizedSplits[key] = finalizeRecord(split); });
+
+  return {
+    team: name,
+    sport: latest.game.sport,
+    conference: latest.side === 'home' ? latest.game.homeConference : latest.game.awayConference,
+    seasons: [...new Set(views.map(view => view.game.season))].sort((a, b) => b - a),
+    record: finalizeRecord(record),
+    splits: finalizedSplits,
+    moneylineBySeason: moneylineBySeason(views),
+    recentGames: views.filter(view => view.grade).slice(0, RECENT_GAMES).map(view => ({
+      id: view.game.id,
+      season: view.game.season,
+      week: view.game.week,
+      startDate: view.game.startDate,
+      opponent: view.opponent,
+      location: view.location,
+      teamScore: view.teamScore,
+      opponentScore: view.opponentScore,
+      result: resultLetter(view),
+      spread: view.teamSpread,
+      atsResult: atsLetter(view),
+      total: view.total,
+      ouResult: view.grade.ou ? view.grade.ou.result : null
+    }))
+  };
+}
+
+module.exports = {
+  listTeams,
+  buildTeamProfile
+};
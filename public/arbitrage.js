@@ -0,0 +1,149 @@
+/*
+ * Arbs & Middles tab for the betting dashboard
+ *
+ * Loads cross-book moneyline arbs and spread/total middles for one season
+ * from /api/arbitrage and lists them with the stake split for the chosen
+ * bankroll. Arbs show the guaranteed profit; middles show the historical hit
+ * rate, the worst case when only one leg wins and the expected profit. Games
+ * that have been played also show how the position actually settled.
+ */
+
+let ARB_RESULT = null;
+let ARB_LOAD_TOKEN = 0;
+
+function describeArbLeg(entry, leg) {
+  const team = leg.side === 'home' ? entry.homeTeam : entry.awayTeam;
+  let bet = `${team} ML`;
+  if (entry.market === 'total') bet = `${leg.side === 'over' ? 'Over' : 'Under'} ${leg.line}`;
+  if (entry.market === 'spread') bet = `${team} ${formatSigned(leg.line)}`;
+  return `${bet} <span class="muted">${formatOdds(leg.price, leg.assumedPrice)} @ ${leg.book}, stake ${formatMoney(leg.stake)}</span>`;
+}
+
+function arbResultCell(entry) {
+  if (entry.result === null) return '<td>Open</td>';
+  const labels = { arb: 'Paid', tie: 'Tie', hit: 'Middled', half: 'Win + push', miss: 'One leg' };
+  const className = entry.actualProfit > 0 ? 'ev-positive' : entry.actualProfit < 0 ? 'ev-negative' : '';
+  return `<td class="${className}">${labels[entry.result] || entry.result} (${formatMoney(entry.actualProfit)})</td>`;
+}
+
+function renderArbSummary() {
+  const container = document.getElementById('arb-summary');
+  if (!container || !ARB_RESULT) return;
+  const summary = ARB_RESULT.summary;
+  const cards = [
+    { title: 'Multi-book games', value: ARB_RESULT.games.toLocaleString(), note: `${summary.outlierLines} outlying lines left out` },
+    { title: 'Moneyline arbs', value: summary.arbs, note: `Avg margin ${formatPercent(summary.averageMargin)}` },
+    { title: 'Middles', value: summary.middles, note: `Avg hit rate ${formatPercent(summary.averageHitRate)}` },
+    {
+      title: 'Middles settled',
+      value: `${summary.middlesHit} / ${summary.settledMiddles}`,
+      note: `Net ${formatMoney(summary.middleProfit)} at ${formatMoney(ARB_RESULT.settings.stake)} per middle`
+    }
+  ];
+  container.innerHTML = cards.map(card => `
+    <div class="team-summary-card">
+      <h3>${card.title}</h3>
+      <p>${card.value}</p>
+      <small>${card.note}</small>
+    </div>
+  `).join('');
+}
+
+function renderArbs() {
+  const tbody = document.getElementById('arb-tbody');
+  if (!tbody || !ARB_RESULT) return;
+  const count = document.getElementById('arb-count');
+  if (count) count.textContent = `${ARB_RESULT.arbCount} arbs`;
+  if (!ARB_RESULT.arbs.length) {
+    const message = ARB_RESULT.games ? 'No cross-book moneyline arbs in this view.' : 'No games with lines from two or more books.';
+    tbody.innerHTML = `<tr class="empty-row"><td colspan="7">${message}</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = ARB_RESULT.arbs.map(arb => `
+    <tr>
+      <td>${(arb.startDate || '').split('T')[0] || '—'}</td>
+      <td>${arb.awayTeam} @ ${arb.homeTeam}</td>
+      <td>${describeArbLeg(arb, arb.legs[0])}</td>
+      <td>${describeArbLeg(arb, arb.legs[1])}</td>
+      <td style="text-align:right">${formatPercent(arb.margin)}</td>
+      <td style="text-align:right" class="ev-positive">${formatMoney(arb.guaranteedProfit)}</td>
+      ${arbResultCell(arb)}
+    </tr>
+  `).join('');
+}
+
+function renderMiddles() {
+  const tbody = document.getElementById('middle-tbody');
+  if (!tbody || !ARB_RESULT) return;
+  const market = document.getElementById('arb-market')?.value || '';
+  const middles = ARB_RESULT.middles.filter(middle => !market || middle.market === market);
+  const count = document.getElementById('middle-count');
+  if (count) count.textContent = `${middles.length} of ${ARB_RESULT.middleCount} middles`;
+  if (!middles.length) {
+    const message = ARB_RESULT.games ? 'No middles in this view.' : 'No games with lines from two or more books.';
+    tbody.innerHTML = `<tr class="empty-row"><td colspan="10">${message}</td></tr>`;
+    return;
+  }
+  tbody.innerHTML = middles.map(middle => `
+    <tr>
+      <td>${(middle.startDate || '').split('T')[0] || '—'}</td>
+      <td>${middle.awayTeam} @ ${middle.homeTeam}</td>
+      <td>${describeArbLeg(middle, middle.legs[0])}</td>
+      <td>${describeArbLeg(middle, middle.legs[1])}</td>
+      <td style="text-align:right">${middle.gap}</td>
+      <td style="text-align:right" title="${middle.sample} similar games">${formatPercent(middle.hitRate)}</td>
+      <td style="text-align:right">${formatPercent(middle.halfRate)}</td>
+      <td style="text-align:right">${formatMoney(middle.guaranteedProfit)} / ${formatMoney(middle.middleProfit)}</td>
+      <td style="text-align:right" class="${middle.expectedProfit > 0 ? 'ev-positive' : ''}">${formatMoney(middle.expectedProfit)}</td>
+      ${arbResultCell(middle)}
+    </tr>
+  `).join('');
+}
+
+function fillArbSeasons() {
+  const select = document.getElementById('arb-season');
+  if (!select) return;
+  const seasons = (STATS && STATS.seasons) || [];
+  const current = seasons.map(String).includes(select.value) ? select.value : CURRENT_SEASON;
+  select.innerHTML = seasons.map(season => `<option value="${season}">${season}</option>`).join('');
+  select.value = current;
+}
+
+async function loadArbitrage() {
+  const token = ++ARB_LOAD_TOKEN;
+  const params = new URLSearchParams({ limit: '1000' });
+  const season = document.getElementById('arb-season')?.value || CURRENT_SEASON;
+  if (season) params.set('season', season);
+  params.set('stake', document.getElementById('arb-stake')?.value || '100');
+  params.set('minGap', document.getElementById('arb-min-gap')?.value || '0.5');
+  try {
+    const resp = await getJson(withSport(`/api/arbitrage?${params.toString()}`));
+    if (token !== ARB_LOAD_TOKEN) return;
+    if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+    ARB_RESULT = resp.data;
+    renderArbSummary();
+    renderArbs();
+    renderMiddles();
+  } catch (error) {
+    if (token !== ARB_LOAD_TOKEN) return;
+    console.error('❌ Failed to load arbs and middles:', error);
+    const arbBody = document.getElementById('arb-tbody');
+    if (arbBody) arbBody.innerHTML = '<tr class="empty-row"><td colspan="7">Error loading arbs.</td></tr>';
+    const middleBody = document.getElementById('middle-tbody');
+    if (middleBody) middleBody.innerHTML = '<tr class="empty-row"><td colspan="10">Error loading middles.</td></tr>';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  ['arb-season', 'arb-stake', 'arb-min-gap'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', loadArbitrage);
+  });
+  document.getElementById('arb-market')?.addEventListener('change', renderMiddles);
+});
+
+const _arbitragePrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _arbitragePrevRenderAllTabs();
+  fillArbSeasons();
+  loadArbitrage();
+};
@@ -0,0 +1,317 @@
+/*
+ * Backtester tab for the betting dashboard
+ *
+ * Builds a rule from the form (bet type plus spread, total, week, line-move,
+ * conference, situational and previous-game filters), runs it through
+ * /api/backtest and shows the record, ROI, max drawdown, running units chart,
+ * season breakdown and graded bets. Rules are saved, loaded and deleted
+ * through /api/backtest/rules for the current sport.
+ */
+
+let BACKTEST_RULES = [];
+
+const BACKTEST_SIDES = {
+  spread: [['home', 'Home'], ['away', 'Away'], ['favorite', 'Favorite'], ['underdog', 'Underdog']],
+  total: [['over', 'Over'], ['under', 'Under']],
+  moneyline: [['home', 'Home'], ['away', 'Away'], ['favorite', 'Favorite'], ['underdog', 'Underdog']]
+};
+
+const BACKTEST_RANGES = ['spread', 'total', 'week', 'lineMove'];
+const BACKTEST_CHOICES = ['conference', 'conferenceGame', 'neutralSite', 'seasonType', 'previousResult', 'previousAts'];
+
+function backtestField(key) {
+  return document.getElementById(`bt-${key.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`)}`);
+}
+
+function setBacktestStatus(message) {
+  const status = document.getElementById('bt-status');
+  if (status) status.textContent = message;
+}
+
+async function sendBacktestRequest(url, method, body) {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Accept': 'application/json', 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  const data = await res.json();
+  if (!data.success) throw new Error(data.error || `Request failed (${res.status})`);
+  return data.data;
+}
+
+/* Rule form */
+
+function fillBacktestSides() {
+  const select = document.getElementById('bt-side');
+  if (!select) return;
+  const current = select.value;
+  const options = BACKTEST_SIDES[document.getElementById('bt-market').value] || [];
+  select.innerHTML = options.map(([value, label]) => `<option value="${value}">${label}</option>`).join('');
+  if (options.some(([value]) => value === current)) select.value = current;
+}
+
+function fillBacktestOptions() {
+  const fill = (id, values, blank) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = `<option value="">${blank}</option>` +
+      values.map(value => `<option value="${value}">${value}</option>`).join('');
+    if (values.includes(current)) select.value = current;
+  };
+  fill('bt-book', (STATS && STATS.sportsbooks) || [], 'Consensus');
+  fill('bt-conference', (STATS && STATS.conferences) || [], 'Any');
+}
+
+function readBacktestRule() {
+  const value = key => backtestField(key)?.value.trim() || '';
+  const filters = {};
+  BACKTEST_RANGES.forEach(key => {
+    const min = value(`${key}Min`);
+    const max = value(`${key}Max`);
+    if (min !== '' || max !== '') filters[key] = { min, max };
+  });
+  BACKTEST_CHOICES.forEach(key => {
+    if (value(key) !== '') filters[key] = value(key);
+  });
+  if (value('seasons')) filters.seasons = value('seasons');
+  return {
+    market: value('market'),
+    side: value('side'),
+    book: value('book') || null,
+    filters
+  };
+}
+
+function fillBacktestForm(rule) {
+  const form = document.getElementById('bt-form');
+  if (!form) return;
+  const name = document.getElementById('bt-name').value;
+  form.reset();
+  document.getElementById('bt-name').value = name;
+  document.getElementById('bt-market').value = rule.market;
+  fillBacktestSides();
+  document.getElementById('bt-side').value = rule.side;
+  const bookSelect = document.getElementById('bt-book');
+  if (rule.book && !Array.from(bookSelect.options).some(option => option.value === rule.book)) {
+    bookSelect.insertAdjacentHTML('beforeend', `<option value="${rule.book}">${rule.book}</option>`);
+  }
+  bookSelect.value = rule.book || '';
+  const filters = rule.filters || {};
+  BACKTEST_RANGES.forEach(key => {
+    backtestField(`${key}Min`).value = filters[key]?.min ?? '';
+    backtestField(`${key}Max`).value = filters[key]?.max ?? '';
+  });
+  BACKTEST_CHOICES.forEach(key => {
+    backtestField(key).value = filters[key] === undefined ? '' : String(filters[key]);
+  });
+  document.getElementById('bt-seasons').value = (filters.seasons || []).join(', ');
+}
+
+/* Saved rules */
+
+function fillBacktestRules(selectedId) {
+  const select = document.getElementById('bt-saved');
+  if (!select) return;
+  select.innerHTML = '<option value="">New rule…</option>' +
+    BACKTEST_RULES.map(entry => `<option value="${entry.id}">${entry.name}</option>`).join('');
+  select.value = BACKTEST_RULES.some(entry => entry.id === selectedId) ? selectedId : '';
+  document.getElementById('bt-delete')?.classList.toggle('hidden', !select.value);
+}
+
+async function loadBacktestRules(selectedId) {
+  try {
+    const resp = await getJson(withSport('/api/backtest/rules'));
+    if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+    BACKTEST_RULES = resp.data;
+  } catch (error) {
+    console.error('❌ Failed to load saved rules:', error);
+    BACKTEST_RULES = [];
+  }
+  fillBacktestRules(selectedId);
+}
+
+function pickBacktestRule() {
+  const id = document.getElementById('bt-saved').value;
+  const saved = BACKTEST_RULES.find(entry => entry.id === id);
+  document.getElementById('bt-delete')?.classList.toggle('hidden', !saved);
+  document.getElementById('bt-name').value = saved ? saved.name : '';
+  if (saved) {
+    fillBacktestForm(saved.rule);
+    submitBacktest();
+  }
+}
+
+// Updates the selected rule when its name is unchanged, otherwise saves a new one
+async function saveBacktestRule() {
+  const name = document.getElementById('bt-name').value.trim();
+  const selected = BACKTEST_RULES.find(entry => entry.id === document.getElementById('bt-saved').value);
+  const input = { name, sport: CURRENT_SPORT, rule: readBacktestRule() };
+  try {
+    const saved = selected && selected.name === name
+      ? await sendBacktestRequest(`/api/backtest/rules/${encodeURIComponent(selected.id)}`, 'PUT', input)
+      : await sendBacktestRequest('/api/backtest/rules', 'POST', input);
+    setBacktestStatus(`Saved "${saved.name}".`);
+    loadBacktestRules(saved.id);
+  } catch (error) {
+    setBacktestStatus(`❌ ${error.message}`);
+  }
+}
+
+async function deleteBacktestRule() {
+  const id = document.getElementById('bt-saved').value;
+  if (!id || !window.confirm('Delete this saved rule?')) return;
+  try {
+    await sendBacktestRequest(`/api/backtest/rules/${encodeURIComponent(id)}`, 'DELETE');
+    document.getElementById('bt-name').value = '';
+    setBacktestStatus('Rule deleted.');
+    loadBacktestRules();
+  } catch (error) {
+    setBacktestStatus(`❌ ${error.message}`);
+  }
+}
+
+/* Results */
+
+function renderBacktestSummary(result) {
+  const container = document.getElementById('bt-summary');
+  if (!container) return;
+  const { summary } = result;
+  const card = (title, value, detail) => (
+    '<div class="team-summary-card">' +
+    `<h3>${title}</h3>` +
+    `<p>${value}</p>` +
+    (detail ? `<small>${detail}</small>` : '') +
+    '</div>'
+  );
+  const record = summary.pushes ? `${summary.wins}-${summary.losses}-${summary.pushes}` : `${summary.wins}-${summary.losses}`;
+  container.innerHTML = [
+    card('Record', record, `${summary.bets} bets at ${result.book}`),
+    card('Win Rate', formatPercent(summary.winRate), 'Pushes excluded'),
+    card('Units', formatUnits(summary.units), 'One unit risked per bet'),
+    card('ROI', formatPercent(summary.roi), 'Units / units risked'),
+    card('Max Drawdown', formatUnits(-summary.maxDrawdown), 'Worst peak-to-trough run')
+  ].join('');
+}
+
+function renderBacktestChart(series) {
+  renderChart('backtestUnitsChart', {
+    type: 'line',
+    data: {
+      labels: series.map(point => (point.startDate || '').split('T')[0]),
+      datasets: [
+        {
+          label: 'Running units',
+          data: series.map(point => point.units),
+          borderColor: '#0984e3',
+          backgroundColor: 'rgba(9, 132, 227, 0.15)',
+          pointRadius: 0,
+          fill: true
+        },
+        {
+          label: 'Drawdown',
+          data: series.map(point => -point.drawdown),
+          borderColor: '#d63031',
+          backgroundColor: 'rgba(214, 48, 49, 0.1)',
+          pointRadius: 0
+        }
+      ]
+    },
+    options: {
+      interaction: { mode: 'index', intersect: false },
+      scales: { y: { title: { display: true, text: 'Units' } } }
+    }
+  }, { emptyMessage: 'No graded bets match this rule.' });
+}
+
+function renderBacktestSeasons(bySeason) {
+  const tbody = document.getElementById('bt-seasons-tbody');
+  if (!tbody) return;
+  if (!bySeason.length) {
+    tbody.innerHTML = '<tr class="empty-row"><td colspan="6">No graded bets match this rule.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = bySeason.map(season => `
+    <tr>
+      <td>${season.key}</td>
+      <td style="text-align:right">${season.bets}</td>
+      <td>${season.wins}-${season.losses}${season.pushes ? `-${season.pushes}` : ''}</td>
+      <td style="text-align:right">${formatPercent(season.winRate)}</td>
+      <td style="text-align:right" class="${season.units > 0 ? 'ev-positive' : season.units < 0 ? 'ev-negative' : ''}">${formatUnits(season.units)}</td>
+      <td style="text-align:right">${formatPercent(season.roi)}</td>
+    </tr>
+  `).join('');
+}
+
+function describeBacktestBet(bet, rule) {
+  if (rule.market === 'total') return `${rule.side === 'over' ? 'Over' : 'Under'} ${bet.total}`;
+  if (rule.market === 'moneyline') return `${bet.team} ML`;
+  return `${bet.team} ${formatSigned(bet.spread)}`;
+}
+
+function backtestBetRow(bet, rule) {
+  const date = (bet.startDate || '').split('T')[0] || '—';
+  const score = Number.isFinite(bet.homeScore) ? ` <span class="muted">${bet.awayScore}-${bet.homeScore}</span>` : '';
+  const price = formatOdds(bet.price, bet.assumedPrice);
+  const profitClass = bet.profit > 0 ? 'ev-positive' : bet.profit < 0 ? 'ev-negative' : '';
+  return `
+    <tr>
+      <td>${date}</td>
+      <td>${bet.week}${bet.seasonType === 'postseason' ? ' (Post)' : ''}</td>
+      <td>${bet.awayTeam} @ ${bet.homeTeam}${score}</td>
+      <td>${describeBacktestBet(bet, rule)}</td>
+      <td style="text-align:right">${price}</td>
+      <td style="text-align:right">${formatSigned(bet.lineMove)}</td>
+      <td>${bet.previousResult ? bet.previousResult.toUpperCase() : '—'}</td>
+      <td>${bet.result ? bet.result.toUpperCase() : 'Upcoming'}</td>
+      <td style="text-align:right" class="${profitClass}">${formatUnits(bet.profit)}</td>
+    </tr>
+  `;
+}
+
+function renderBacktestBets(result) {
+  const tbody = document.getElementById('bt-bets-tbody');
+  if (!tbody) return;
+  const count = document.getElementById('bt-count');
+  if (count) {
+    const upcoming = result.upcoming.length ? `, ${result.upcoming.length} upcoming` : '';
+    count.textContent = `${result.betCount} graded bets${upcoming}`;
+  }
+  const rows = [...result.upcoming, ...result.bets];
+  if (!rows.length) {
+    tbody.innerHTML = '<tr class="empty-row"><td colspan="9">No games match this rule.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = rows.map(bet => backtestBetRow(bet, result.rule)).join('');
+}
+
+async function submitBacktest(event) {
+  if (event) event.preventDefault();
+  setBacktestStatus('Running…');
+  try {
+    const result = await sendBacktestRequest(withSport('/api/backtest?limit=500'), 'POST', readBacktestRule());
+    renderBacktestSummary(result);
+    renderBacktestChart(result.series);
+    renderBacktestSeasons(result.bySeason);
+    renderBacktestBets(result);
+    setBacktestStatus(`${result.summary.bets} graded bets since ${result.series[0] ? result.series[0].startDate.split('T')[0] : '—'}.`);
+  } catch (error) {
+    setBacktestStatus(`❌ ${error.message}`);
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  fillBacktestSides();
+  document.getElementById('bt-form')?.addEventListener('submit', submitBacktest);
+  document.getElementById('bt-market')?.addEventListener('change', fillBacktestSides);
+  document.getElementById('bt-saved')?.addEventListener('change', pickBacktestRule);
+  document.getElementById('bt-save')?.addEventListener('click', saveBacktestRule);
+  document.getElementById('bt-delete')?.addEventListener('click', deleteBacktestRule);
+});
+
+const _backtesterPrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _backtesterPrevRenderAllTabs();
+  fillBacktestOptions();
+  loadBacktestRules(document.getElementById('bt-saved')?.value);
+};
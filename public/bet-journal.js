@@ -0,0 +1,400 @@
+/*
+ * Bet Journal tab for the betting dashboard
+ *
+ * Logs, edits, settles and deletes bets through /api/bets, picking games from
+ * the current season's consolidated /api/games feed so the line and price can
+ * be prefilled from a book's close. The journal table, summary cards and the
+ * cumulative P&L / CLV chart come from /api/clv. Journals export and import
+ * as JSON or CSV.
+ */
+
+let BET_GAMES = [];
+let BET_ROWS = [];
+let EDITING_BET_ID = null;
+
+function betGameLabel(game) {
+  const date = (game.startDate || '').split('T')[0];
+  return `${game.awayTeam} @ ${game.homeTeam}${date ? ` (${date})` : ''}`;
+}
+
+function describeBet(bet) {
+  const game = bet.game || {};
+  const team = bet.side === 'home' ? game.homeTeam || 'Home' : game.awayTeam || 'Away';
+  if (bet.market === 'total') return `${bet.side === 'over' ? 'Over' : 'Under'} ${bet.line}`;
+  if (bet.market === 'moneyline') return `${team} ML`;
+  return `${team} ${formatSigned(bet.line, 1)}`;
+}
+
+async function sendBetRequest(url, method, body, contentType = 'application/json') {
+  const res = await fetch(url, {
+    method,
+    headers: { 'Accept': 'application/json', 'Content-Type': contentType },
+    body: body === undefined ? undefined : contentType === 'application/json' ? JSON.stringify(body) : body
+  });
+  const data = await res.json();
+  if (!data.success) throw new Error(data.error || `Request failed (${res.status})`);
+  return data.data;
+}
+
+function setBetStatus(message) {
+  const status = document.getElementById('bet-form-status');
+  if (status) status.textContent = message;
+}
+
+/* Form */
+
+function selectedBetGame() {
+  const id = document.getElementById('bet-game')?.value;
+  return BET_GAMES.find(game => String(game.id) === id) || null;
+}
+
+function fillBetSides() {
+  const select = document.getElementById('bet-side');
+  if (!select) return;
+  const market = document.getElementById('bet-market').value;
+  const game = selectedBetGame();
+  const current = select.value;
+  const options = market === 'total'
+    ? [['over', 'Over'], ['under', 'Under']]
+    : [['home', game ? game.homeTeam : 'Home'], ['away', game ? game.awayTeam : 'Away']];
+  select.innerHTML = options.map(([value, label]) => `<option value="${value}">${escapeHtml(label)}</option>`).join('');
+  if (options.some(([value]) => value === current)) select.value = current;
+  document.getElementById('bet-line').disabled = market === 'moneyline';
+}
+
+function fillBetBooks() {
+  const select = document.getElementById('bet-book');
+  if (!select) return;
+  const game = selectedBetGame();
+  const current = select.value;
+  const books = game ? game.books : [];
+  select.innerHTML = '<option value="">—</option>' +
+    books.map(book => `<option value="${escapeHtml(book)}">${escapeHtml(book)}</option>`).join('');
+  if (books.includes(current)) select.value = current;
+}
+
+// Prefill line and price from the chosen book, or the consensus without one
+function prefillBetLine() {
+  const game = selectedBetGame();
+  if (!game) return;
+  const book = document.getElementById('bet-book').value;
+  const source = (book && game.lines[book]) || game.consensus || {};
+  const market = document.getElementById('bet-market').value;
+  const side = document.getElementById('bet-side').value;
+  const lineInput = document.getElementById('bet-line');
+  const priceInput = document.getElementById('bet-price');
+
+  if (market === 'spread' && Number.isFinite(source.spread)) {
+    lineInput.value = side === 'home' ? source.spread : -source.spread;
+  } else if (market === 'total' && Number.isFinite(source.overUnder)) {
+    lineInput.value = source.overUnder;
+  } else if (market === 'moneyline') {
+    lineInput.value = '';
+    const price = side === 'home' ? source.homeMoneyline : source.awayMoneyline;
+    if (Number.isFinite(price)) priceInput.value = price;
+  }
+}
+
+function fillBetGames(extraGame) {
+  const select = document.getElementById('bet-game');
+  if (!select) return;
+  const games = [...BET_GAMES].sort((a, b) => new Date(a.startDate || 0) - new Date(b.startDate || 0));
+  const options = games.map(game => `<option value="${escapeHtml(game.id)}">${escapeHtml(betGameLabel(game))}</option>`);
+  if (extraGame && !BET_GAMES.some(game => String(game.id) === String(extraGame.id))) {
+    options.unshift(`<option value="${escapeHtml(extraGame.id)}">${escapeHtml(extraGame.label)}</option>`);
+  }
+  select.innerHTML = '<option value="">Select a game…</option>' + options.join('');
+}
+
+function resetBetForm() {
+  EDITING_BET_ID = null;
+  const form = document.getElementById('bet-form');
+  if (!form) return;
+  form.reset();
+  fillBetGames();
+  fillBetSides();
+  fillBetBooks();
+  document.getElementById('bet-placed').value = new Date().toISOString().split('T')[0];
+  document.getElementById('bet-form-title').textContent = '📒 Log a Bet';
+  document.getElementById('bet-submit').textContent = 'Save Bet';
+  document.getElementById('bet-cancel').classList.add('hidden');
+}
+
+function editBet(id) {
+  const bet = BET_ROWS.find(row => row.id === id);
+  if (!bet) return;
+  EDITING_BET_ID = id;
+  fillBetGames(bet.game ? { id: bet.gameId, label: betGameLabel(bet.game) } : { id: bet.gameId, label: bet.gameId });
+  document.getElementById('bet-game').value = bet.gameId;
+  document.getElementById('bet-market').value = bet.market;
+  fillBetSides();
+  fillBetBooks();
+  document.getElementById('bet-side').value = bet.side;
+  const bookSelect = document.getElementById('bet-book');
+  if (bet.book && !Array.from(bookSelect.options).some(option => option.value === bet.book)) {
+    bookSelect.insertAdjacentHTML('beforeend', `<option value="${escapeHtml(bet.book)}">${escapeHtml(bet.book)}</option>`);
+  }
+  bookSelect.value = bet.book || '';
+  document.getElementById('bet-line').value = bet.line ?? '';
+  document.getElementById('bet-price').value = bet.price;
+  document.getElementById('bet-stake').value = bet.stake;
+  document.getElementById('bet-placed').value = (bet.placedAt || '').split('T')[0];
+  document.getElementById('bet-result').value = bet.result || '';
+  document.getElementById('bet-notes').value = bet.notes || '';
+  document.getElementById('bet-form-title').textContent = '✏️ Edit Bet';
+  document.getElementById('bet-submit').textContent = 'Update Bet';
+  document.getElementById('bet-cancel').classList.remove('hidden');
+  document.getElementById('bet-form').scrollIntoView({ behavior: 'smooth' });
+}
+
+function readBetForm() {
+  const value = id => document.getElementById(id).value;
+  return {
+    sport: CURRENT_SPORT,
+    gameId: value('bet-game'),
+    market: value('bet-market'),
+    side: value('bet-side'),
+    line: value('bet-line'),
+    price: value('bet-price'),
+    stake: value('bet-stake'),
+    book: value('bet-book'),
+    placedAt: value('bet-placed'),
+    result: value('bet-result'),
+    notes: value('bet-notes')
+  };
+}
+
+async function submitBetForm(event) {
+  event.preventDefault();
+  try {
+    const input = readBetForm();
+    if (EDITING_BET_ID) {
+      await sendBetRequest(`/api/bets/${encodeURIComponent(EDITING_BET_ID)}`, 'PUT', input);
+      setBetStatus('Bet updated.');
+    } else {
+      await sendBetRequest('/api/bets', 'POST', input);
+      setBetStatus('Bet saved.');
+    }
+    resetBetForm();
+    loadBetJournal();
+  } catch (error) {
+    setBetStatus(`❌ ${error.message}`);
+  }
+}
+
+/* Journal actions */
+
+async function settleBet(id) {
+  try {
+    await sendBetRequest(`/api/bets/${encodeURIComponent(id)}/settle`, 'POST', {});
+    setBetStatus('Bet settled from the final score.');
+    loadBetJournal();
+  } catch (error) {
+    setBetStatus(`❌ ${error.message}`);
+  }
+}
+
+async function deleteBet(id) {
+  if (!window.confirm('Delete this bet from the journal?')) return;
+  try {
+    await sendBetRequest(`/api/bets/${encodeURIComponent(id)}`, 'DELETE');
+    if (EDITING_BET_ID === id) resetBetForm();
+    setBetStatus('Bet deleted.');
+    loadBetJournal();
+  } catch (error) {
+    setBetStatus(`❌ ${error.message}`);
+  }
+}
+
+async function importBetFile(file) {
+  if (!file) return;
+  const format = file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+  try {
+    const text = await file.text();
+    const result = await sendBetRequest(
+      `/api/bets/import?format=${format}`,
+      'POST',
+      text,
+      format === 'csv' ? 'text/csv' : 'application/json'
+    );
+    const problems = result.invalid.length ? `, ${result.invalid.length} invalid (row ${result.invalid.map(row => row.index + 1).join(', ')})` : '';
+    setBetStatus(`Imported ${result.imported} bet(s), skipped ${result.skipped} already in the journal${problems}.`);
+    loadBetJournal();
+  } catch (error) {
+    setBetStatus(`❌ Import failed: ${error.message}`);
+  }
+}
+
+/* Rendering */
+
+function buildBetCard(title, value, detail) {
+  return (
+    '<div class="team-summary-card">' +
+    `<h3>${title}</h3>` +
+    `<p>${value}</p>` +
+    (detail ? `<small>${detail}</small>` : '') +
+    '</div>'
+  );
+}
+
+function renderBetSummary(summary) {
+  const container = document.getElementById('bet-summary');
+  if (!container) return;
+  const record = summary.pushes ? `${summary.wins}-${summary.losses}-${summary.pushes}` : `${summary.wins}-${summary.losses}`;
+  container.innerHTML = [
+    buildBetCard('Record', record, `${summary.graded} of ${summary.bets} bets graded`),
+    buildBetCard('Profit', formatMoney(summary.profit), `${formatMoney(summary.staked)} staked`),
+    buildBetCard('ROI', formatPercent(summary.roi), 'Profit / amount risked'),
+    buildBetCard('Avg CLV', summary.avgClvPoints === null ? '—' : `${formatSigned(summary.avgClvPoints, 1)} pts`, `${formatSigned((summary.avgClvProbability ?? NaN) * 100, 1)}% win probability`),
+    buildBetCard('Beat the Close', formatPercent(summary.beatCloseRate), 'Share of bets with positive CLV')
+  ].join('');
+}
+
+function renderBetTimeline(timeline) {
+  renderChart('betTimelineChart', {
+    type: 'line',
+    data: {
+      labels: timeline.map(point => (point.date || '').split('T')[0]),
+      datasets: [
+        {
+          label: 'Cumulative P&L ($)',
+          data: timeline.map(point => point.profit),
+          borderColor: '#00b894',
+          backgroundColor: 'rgba(0, 184, 148, 0.15)',
+          yAxisID: 'y'
+        },
+        {
+          label: 'Cumulative CLV (% win prob)',
+          data: timeline.map(point => point.clvProbability * 100),
+          borderColor: '#6c5ce7',
+          backgroundColor: 'rgba(108, 92, 231, 0.15)',
+          yAxisID: 'y1'
+        }
+      ]
+    },
+    options: {
+      scales: {
+        y: { position: 'left', title: { display: true, text: 'P&L ($)' } },
+        y1: { position: 'right', grid: { drawOnChartArea: false }, title: { display: true, text: 'CLV (%)' } }
+      }
+    }
+  }, { emptyMessage: 'No settled bets yet.' });
+}
+
+function renderBetRows() {
+  const tbody = document.getElementById('bet-tbody');
+  if (!tbody) return;
+  const count = document.getElementById('bet-count');
+  if (count) count.textContent = `${BET_ROWS.length} bet${BET_ROWS.length === 1 ? '' : 's'}`;
+  if (!BET_ROWS.length) {
+    tbody.innerHTML = '<tr class="empty-row"><td colspan="11">No bets logged for this sport yet.</td></tr>';
+    return;
+  }
+
+  const rows = [...BET_ROWS].sort((a, b) => new Date(b.placedAt) - new Date(a.placedAt));
+  tbody.innerHTML = rows.map(bet => {
+    const game = bet.game;
+    const date = ((game && game.startDate) || bet.placedAt || '').split('T')[0];
+    const score = game && game.completed ? ` <span class="muted">${game.awayScore}-${game.homeScore}</span>` : '';
+    const clv = bet.clv.consensus;
+    const profitClass = bet.profit > 0 ? 'ev-positive' : bet.profit < 0 ? 'ev-negative' : '';
+    const clvClass = clv && clv.probability > 0 ? 'ev-positive' : clv && clv.probability < 0 ? 'ev-negative' : '';
+    return `
+      <tr>
+        <td>${escapeHtml(date)}</td>
+        <td>${game ? `${escapeHtml(`${game.awayTeam} @ ${game.homeTeam}`)}${score}` : `<span class="muted">${escapeHtml(bet.gameId)}</span>`}</td>
+        <td>${escapeHtml(describeBet(bet))}</td>
+        <td style="text-align:right">${formatOdds(bet.price)}</td>
+        <td style="text-align:right">${formatMoney(bet.stake)}</td>
+        <td>${bet.book ? escapeHtml(bet.book) : '—'}</td>
+        <td>${bet.result ? bet.result.toUpperCase() : 'Open'}</td>
+        <td style="text-align:right" class="${profitClass}">${bet.profit === null ? '—' : formatMoney(bet.profit)}</td>
+        <td style="text-align:right">${clv && clv.points !== null ? formatSigned(clv.points, 1) : '—'}</td>
+        <td style="text-align:right" class="${clvClass}">${clv ? `${formatSigned(clv.probability * 100, 1)}%` : '—'}</td>
+        <td style="white-space:nowrap">
+          <button type="button" class="btn-row" data-bet-action="edit" data-bet-id="${escapeHtml(bet.id)}">Edit</button>
+          ${bet.result ? '' : `<button type="button" class="btn-row" data-bet-action="settle" data-bet-id="${escapeHtml(bet.id)}">Settle</button>`}
+          <button type="button" class="btn-row" data-bet-action="delete" data-bet-id="${escapeHtml(bet.id)}">Delete</button>
+        </td>
+      </tr>
+    `;
+  }).join('');
+}
+
+async function loadBetGames() {
+  const params = new URLSearchParams({ view: 'consolidated', limit: '2000' });
+  if (CURRENT_SEASON) params.set('season', CURRENT_SEASON);
+  const resp = await getJson(withSport(`/api/games?${params.toString()}`));
+  if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+  BET_GAMES = resp.data;
+}
+
+async function loadBetJournal() {
+  try {
+    const resp = await getJson(withSport('/api/clv'));
+    if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+    BET_ROWS = resp.data.bets;
+    renderBetSummary(resp.data.summary);
+    renderBetTimeline(resp.data.timeline);
+    renderBetRows();
+  } catch (error) {
+    console.error('❌ Failed to load bet journal:', error);
+    const tbody = document.getElementById('bet-tbody');
+    if (tbody) tbody.innerHTML = '<tr class="empty-row"><td colspan="11">Error loading bet journal.</td></tr>';
+  }
+}
+
+async function refreshBetJournal() {
+  try {
+    await loadBetGames();
+  } catch (error) {
+    console.error('❌ Failed to load games for the bet journal:', error);
+    BET_GAMES = [];
+  }
+  resetBetForm();
+  loadBetJournal();
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('bet-form')?.addEventListener('submit', submitBetForm);
+  document.getElementById('bet-cancel')?.addEventListener('click', resetBetForm);
+  document.getElementById('bet-game')?.addEventListener('change', () => {
+    fillBetSides();
+    fillBetBooks();
+    prefillBetLine();
+  });
+  ['bet-market', 'bet-side', 'bet-book'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', () => {
+      if (id === 'bet-market') fillBetSides();
+      prefillBetLine();
+    });
+  });
+  document.getElementById('bet-tbody')?.addEventListener('click', event => {
+    const button = event.target.closest('[data-bet-action]');
+    if (!button) return;
+    const id = button.getAttribute('data-bet-id');
+    const action = button.getAttribute('data-bet-action');
+    if (action === 'edit') editBet(id);
+    if (action === 'settle') settleBet(id);
+    if (action === 'delete') deleteBet(id);
+  });
+  document.getElementById('bet-export-json')?.addEventListener('click', () => {
+    window.location.href = withSport('/api/bets/export?format=json');
+  });
+  document.getElementById('bet-export-csv')?.addEventListener('click', () => {
+    window.location.href = withSport('/api/bets/export?format=csv');
+  });
+  document.getElementById('bet-import')?.addEventListener('click', () => {
+    document.getElementById('bet-import-file')?.click();
+  });
+  document.getElementById('bet-import-file')?.addEventListener('change', event => {
+    importBetFile(event.target.files[0]);
+    event.target.value = '';
+  });
+});
+
+const _betJournalPrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _betJournalPrevRenderAllTabs();
+  refreshBetJournal();
+};
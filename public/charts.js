@@ -0,0 +1,70 @@
+/*
+ * Shared Chart.js helper for the dashboard tabs
+ *
+ * renderChart(canvasId, config) draws a chart on one of the page's canvases.
+ * Chart.js refuses to draw on a canvas that still has a chart, so whatever
+ * was there is destroyed first, whether this helper drew it or not. Every
+ * chart gets the responsive, fill-the-wrapper defaults unless its config says
+ * otherwise. A config with no labels draws nothing and shows `emptyMessage`
+ * in place of the canvas until the next render.
+ */
+
+// canvas id -> Chart instance
+const DASHBOARD_CHARTS = new Map();
+
+const CHART_COLORS = {
+  orange: 'rgba(255, 107, 53, 0.75)',
+  blue: 'rgba(42, 82, 152, 0.7)',
+  green: 'rgba(0, 184, 148, 0.7)',
+  purple: 'rgba(108, 92, 231, 0.7)',
+  grey: 'rgba(0, 0, 0, 0.15)'
+};
+
+function destroyChart(canvasId) {
+  const tracked = DASHBOARD_CHARTS.get(canvasId);
+  if (tracked) tracked.destroy();
+  DASHBOARD_CHARTS.delete(canvasId);
+
+  const canvas = document.getElementById(canvasId);
+  const stray = canvas && typeof Chart !== 'undefined' && typeof Chart.getChart === 'function'
+    ? Chart.getChart(canvas)
+    : null;
+  if (stray && stray !== tracked) stray.destroy();
+}
+
+// Show `message` in place of the canvas, or bring the canvas back when it is null
+function setChartMessage(canvas, message) {
+  const wrapper = canvas.parentElement;
+  if (!wrapper) return;
+  let note = wrapper.querySelector('.chart-empty');
+  if (message && !note) {
+    note = document.createElement('div');
+    note.className = 'chart-empty';
+    wrapper.appendChild(note);
+  }
+  if (note) {
+    note.textContent = message || '';
+    note.classList.toggle('hidden', !message);
+  }
+  canvas.classList.toggle('hidden', Boolean(message));
+}
+
+function renderChart(canvasId, config, options = {}) {
+  destroyChart(canvasId);
+  const canvas = document.getElementById(canvasId);
+  if (!canvas || typeof Chart === 'undefined') return null;
+
+  const labels = config?.data?.labels;
+  if (!Array.isArray(labels) || !labels.length) {
+    setChartMessage(canvas, options.emptyMessage || 'No data for this view.');
+    return null;
+  }
+  setChartMessage(canvas, null);
+
+  const chart = new Chart(canvas.getContext('2d'), {
+    ...config,
+    options: { responsive: true, maintainAspectRatio: false, ...(config.options || {}) }
+  });
+  DASHBOARD_CHARTS.set(canvasId, chart);
+  return chart;
+}
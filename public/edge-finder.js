@@ -0,0 +1,115 @@
+/*
+ * Expected Value tab for the betting dashboard
+ *
+ * Loads model projections and positive-EV plays for upcoming games from
+ * /api/edges, lists the plays by expected value and shows each game's fair
+ * spread, total and win probability next to the consensus market. Market,
+ * book and minimum-EV filters run in the browser on the loaded plays.
+ */
+
+let EDGE_RESULT = null;
+
+function describeEdgePlay(play) {
+  const team = play.side === 'home' ? play.homeTeam : play.awayTeam;
+  if (play.market === 'total') return `${play.side === 'over' ? 'Over' : 'Under'} ${play.line}`;
+  if (play.market === 'moneyline') return `${team} ML`;
+  return `${team} ${formatSigned(play.line, 1)}`;
+}
+
+function renderEdgePlays() {
+  const tbody = document.getElementById('ev-plays-tbody');
+  if (!tbody || !EDGE_RESULT) return;
+  const market = document.getElementById('ev-market')?.value || '';
+  const book = document.getElementById('ev-book')?.value || '';
+  const minEv = Number(document.getElementById('ev-min')?.value || 0);
+  const plays = EDGE_RESULT.plays.filter(play => (
+    (!market || play.market === market) &&
+    (!book || play.book === book) &&
+    play.ev > minEv
+  ));
+
+  const count = document.getElementById('ev-count');
+  if (count) count.textContent = `${plays.length} plays across ${EDGE_RESULT.games} upcoming games`;
+  if (!plays.length) {
+    const message = EDGE_RESULT.games ? 'No plays clear this EV threshold.' : 'No upcoming games in the data.';
+    tbody.innerHTML = `<tr class="empty-row"><td colspan="9">${message}</td></tr>`;
+    return;
+  }
+
+  tbody.innerHTML = plays.map(play => {
+    const date = (play.startDate || '').split('T')[0] || '—';
+    const price = formatOdds(play.price, play.assumedPrice);
+    const fair = play.market === 'total' ? formatNumber(play.fairLine, 1) : formatSigned(play.fairLine, 1);
+    return `
+      <tr>
+        <td>${date}</td>
+        <td>${play.awayTeam} @ ${play.homeTeam}</td>
+        <td>${describeEdgePlay(play)}</td>
+        <td>${play.book || '—'}</td>
+        <td style="text-align:right">${price}</td>
+        <td style="text-align:right">${fair}</td>
+        <td style="text-align:right">${formatPercent(play.probability)}</td>
+        <td style="text-align:right">${formatPercent(play.impliedProbability)}</td>
+        <td style="text-align:right" class="ev-positive">${formatSigned(play.ev * 100, 1)}%</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function renderEdgeProjections() {
+  const tbody = document.getElementById('ev-projections-tbody');
+  if (!tbody || !EDGE_RESULT) return;
+  if (!EDGE_RESULT.projections.length) {
+    tbody.innerHTML = '<tr class="empty-row"><td colspan="7">No upcoming games in the data.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = EDGE_RESULT.projections.map(game => `
+    <tr>
+      <td>${(game.startDate || '').split('T')[0] || '—'}</td>
+      <td>${game.awayTeam} @ ${game.homeTeam}${game.neutralSite ? ' <span class="muted">(N)</span>' : ''}</td>
+      <td style="text-align:right">${formatSigned(game.fairSpread, 1)}</td>
+      <td style="text-align:right">${formatSigned(game.marketSpread, 1)}</td>
+      <td style="text-align:right">${formatNumber(game.fairTotal, 1)}</td>
+      <td style="text-align:right">${formatNumber(game.marketTotal, 1)}</td>
+      <td style="text-align:right">${formatPercent(game.homeWinProbability)}</td>
+    </tr>
+  `).join('');
+}
+
+async function loadEdgeFinder() {
+  try {
+    const resp = await getJson(withSport('/api/edges?limit=5000'));
+    if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+    EDGE_RESULT = resp.data;
+
+    const recent = document.getElementById('ev-recent-games');
+    if (recent) recent.textContent = EDGE_RESULT.settings.recentGames;
+    const bookSelect = document.getElementById('ev-book');
+    if (bookSelect) {
+      const current = bookSelect.value;
+      const books = [...new Set(EDGE_RESULT.plays.map(play => play.book).filter(Boolean))].sort();
+      bookSelect.innerHTML = '<option value="">All Books</option>' +
+        books.map(book => `<option value="${book}">${book}</option>`).join('');
+      if (books.includes(current)) bookSelect.value = current;
+    }
+
+    renderEdgePlays();
+    renderEdgeProjections();
+  } catch (error) {
+    console.error('❌ Failed to load edge finder:', error);
+    const tbody = document.getElementById('ev-plays-tbody');
+    if (tbody) tbody.innerHTML = '<tr class="empty-row"><td colspan="9">Error loading expected value plays.</td></tr>';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  ['ev-market', 'ev-book', 'ev-min'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', renderEdgePlays);
+  });
+});
+
+const _edgeFinderPrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _edgeFinderPrevRenderAllTabs();
+  loadEdgeFinder();
+};
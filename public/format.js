@@ -0,0 +1,55 @@
+/*
+ * Shared number formatters for the dashboard tabs
+ *
+ * Every tab prints lines, prices, rates and money the same way, so the
+ * formatters live here and the tab scripts call them instead of keeping their
+ * own copies. Anything missing or non-numeric prints as an em dash.
+ */
+
+function toNumber(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const num = Number(value);
+  return Number.isFinite(num) ? num : null;
+}
+
+function formatNumber(value, digits = 1) {
+  const num = toNumber(value);
+  if (num === null) return '—';
+  return num.toFixed(digits);
+}
+
+// Leading + on positive values; without `digits` the value prints as stored (-3, +6.5)
+function formatSigned(value, digits) {
+  const num = toNumber(value);
+  if (num === null) return '—';
+  const fixed = digits === undefined ? String(num) : num.toFixed(digits);
+  return num > 0 ? `+${fixed}` : fixed;
+}
+
+// American odds; `assumed` marks a price filled in as the standard -110
+function formatOdds(ml, assumed = false) {
+  const value = toNumber(ml);
+  if (value === null) return '—';
+  const rounded = Math.round(value);
+  return `${rounded > 0 ? `+${rounded}` : rounded}${assumed ? '*' : ''}`;
+}
+
+// 0.524 -> 52.4%
+function formatPercent(value, digits = 1) {
+  const num = toNumber(value);
+  if (num === null) return '—';
+  return `${(num * 100).toFixed(digits)}%`;
+}
+
+function formatMoney(value) {
+  const num = toNumber(value);
+  if (num === null) return '—';
+  const fixed = Math.abs(num).toFixed(2);
+  return num < 0 ? `-$${fixed}` : `$${fixed}`;
+}
+
+function formatUnits(value) {
+  const num = toNumber(value);
+  if (num === null) return '—';
+  return `${formatSigned(num, 2)}u`;
+}
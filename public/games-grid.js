@@ -0,0 +1,309 @@
+/*
+ * Overview games grid for the betting dashboard
+ *
+ * Loads every line for the selected season from /api/games (following
+ * nextCursor page by page, with a `fields` projection to keep the payload
+ * small) and then filters, searches and sorts in the browser. Only the rows in
+ * view are rendered: the table scrolls inside a fixed-height container and
+ * spacer rows stand in for the rest. ATS and O/U cells are colored by result,
+ * and Export CSV writes exactly the filtered, sorted rows.
+ */
+
+const GRID_ROW_HEIGHT = 40;
+const GRID_OVERSCAN = 10;
+const GRID_PAGE_SIZE = 5000;
+const GRID_FIELDS = [
+  'id', 'season', 'week', 'startDate', 'awayTeam', 'homeTeam', 'awayConference', 'homeConference',
+  'awayScore', 'homeScore', 'spread', 'overUnder', 'lineProvider', 'grade'
+];
+
+let GRID_ROWS = [];
+let GRID_VIEW = [];
+let GRID_SORT = { key: 'startDate', descending: true };
+let GRID_LOAD_TOKEN = 0;
+let GRID_FRAME = null;
+
+function gridNumber(value) {
+  return Number.isFinite(value) ? value : null;
+}
+
+function gridAtsLabel(game) {
+  const result = game.grade?.ats?.result;
+  if (result === 'home') return `${game.homeTeam} cover`;
+  if (result === 'away') return `${game.awayTeam} cover`;
+  return result === 'push' ? 'Push' : '';
+}
+
+function gridOuLabel(game) {
+  const result = game.grade?.ou?.result;
+  return result ? result.charAt(0).toUpperCase() + result.slice(1) : '';
+}
+
+function gridConferences(game) {
+  const conferences = [...new Set([game.awayConference, game.homeConference].filter(Boolean))];
+  return conferences.join(' / ');
+}
+
+// `value` feeds sorting and the CSV; `cell` and `className` render the table
+const GRID_COLUMNS = [
+  {
+    key: 'startDate',
+    label: 'Date',
+    value: game => game.startDate || '',
+    cell: game => (game.startDate ? new Date(game.startDate).toLocaleDateString() : '—'),
+    csv: game => (game.startDate ? game.startDate.slice(0, 10) : '')
+  },
+  { key: 'awayTeam', label: 'Away', value: game => game.awayTeam || '' },
+  { key: 'homeTeam', label: 'Home', value: game => game.homeTeam || '' },
+  {
+    key: 'score',
+    label: 'Score',
+    value: game => (Number.isFinite(game.awayScore) && Number.isFinite(game.homeScore)
+      ? `${game.awayScore}-${game.homeScore}`
+      : ''),
+    sortValue: game => gridNumber(game.grade?.totalPoints)
+  },
+  { key: 'conference', label: 'Conf / Div', value: gridConferences },
+  {
+    key: 'spread',
+    label: 'Spread',
+    align: 'right',
+    value: game => gridNumber(game.spread),
+    cell: game => formatSigned(game.spread)
+  },
+  {
+    key: 'overUnder',
+    label: 'Total',
+    align: 'right',
+    value: game => gridNumber(game.overUnder),
+    cell: game => (Number.isFinite(game.overUnder) ? String(game.overUnder) : '—')
+  },
+  { key: 'lineProvider', label: 'Book', value: game => game.lineProvider || '' },
+  {
+    key: 'ats',
+    label: 'ATS',
+    value: gridAtsLabel,
+    sortValue: game => gridNumber(game.grade?.ats?.coverMargin),
+    className: game => {
+      const result = game.grade?.ats?.result;
+      if (!result) return '';
+      return result === 'push' ? 'result-push' : 'result-cover';
+    }
+  },
+  {
+    key: 'ou',
+    label: 'O/U',
+    value: gridOuLabel,
+    sortValue: game => gridNumber(game.grade?.ou?.totalMargin),
+    className: game => {
+      const result = game.grade?.ou?.result;
+      return result ? `result-${result}` : '';
+    }
+  }
+];
+
+function gridColumn(key) {
+  return GRID_COLUMNS.find(column => column.key === key) || GRID_COLUMNS[0];
+}
+
+function gridSortValue(column, game) {
+  const value = column.sortValue ? column.sortValue(game) : column.value(game);
+  return value === '' ? null : value;
+}
+
+// Missing values sort last in either direction
+function compareGridRows(a, b, column, descending) {
+  const left = gridSortValue(column, a);
+  const right = gridSortValue(column, b);
+  if (left === null || right === null) {
+    if (left === right) return 0;
+    return left === null ? 1 : -1;
+  }
+  const order = typeof left === 'number' && typeof right === 'number'
+    ? left - right
+    : String(left).localeCompare(String(right));
+  return descending ? -order : order;
+}
+
+function fillGridFilters() {
+  const fill = (id, values, blank, preferred) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    // The first fill defaults to `preferred`; later fills keep the user's choice
+    const current = select.dataset.filled ? select.value : preferred || '';
+    select.dataset.filled = 'true';
+    select.innerHTML = `<option value="">${blank}</option>` +
+      values.map(value => `<option value="${value}">${value}</option>`).join('');
+    select.value = values.map(String).includes(String(current)) ? String(current) : '';
+  };
+  fill('overview-season', (STATS && STATS.seasons) || [], 'All Seasons', CURRENT_SEASON);
+  fill('overview-conf', (STATS && STATS.conferences) || [], 'All Conferences / Divisions');
+  fill('overview-book', (STATS && STATS.sportsbooks) || [], 'All Books');
+}
+
+// Every /api/games row for `params` (season, fields, ...), following nextCursor a page at a time
+async function fetchAllGames(params = {}) {
+  const rows = [];
+  let cursor = null;
+  do {
+    const query = new URLSearchParams({ limit: String(GRID_PAGE_SIZE), ...params });
+    if (cursor) query.set('cursor', cursor);
+    const resp = await getJson(withSport(`/api/games?${query.toString()}`));
+    if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+    rows.push(...resp.data);
+    cursor = resp.nextCursor;
+  } while (cursor);
+  return rows;
+}
+
+async function loadGamesGrid() {
+  const tbody = document.getElementById('games-tbody');
+  if (!tbody) return;
+  const token = ++GRID_LOAD_TOKEN;
+  const season = document.getElementById('overview-season')?.value || '';
+  tbody.innerHTML = `<tr class="empty-row"><td colspan="${GRID_COLUMNS.length}">Loading games…</td></tr>`;
+  setGridCount('Loading games…');
+
+  try {
+    const params = { fields: GRID_FIELDS.join(',') };
+    if (season) params.season = season;
+    const rows = await fetchAllGames(params);
+    if (token !== GRID_LOAD_TOKEN) return;
+    GRID_ROWS = rows;
+    applyGridFilters();
+  } catch (error) {
+    if (token !== GRID_LOAD_TOKEN) return;
+    console.error('❌ Failed to load games grid:', error);
+    GRID_ROWS = [];
+    GRID_VIEW = [];
+    tbody.innerHTML = `<tr class="empty-row"><td colspan="${GRID_COLUMNS.length}">Error loading games.</td></tr>`;
+    setGridCount('Error loading games');
+  }
+}
+
+function setGridCount(text) {
+  const count = document.getElementById('gamesCount');
+  if (count) count.textContent = text;
+}
+
+// Conference, book and team search run on the loaded rows, then the sort
+function applyGridFilters() {
+  const conference = document.getElementById('overview-conf')?.value || '';
+  const book = document.getElementById('overview-book')?.value || '';
+  const search = (document.getElementById('overview-team')?.value || '').trim().toLowerCase();
+
+  GRID_VIEW = GRID_ROWS.filter(game => (
+    (!conference || game.homeConference === conference || game.awayConference === conference) &&
+    (!book || game.lineProvider === book) &&
+    (!search || `${game.homeTeam || ''}\n${game.awayTeam || ''}`.toLowerCase().includes(search))
+  ));
+  const column = gridColumn(GRID_SORT.key);
+  GRID_VIEW.sort((a, b) => compareGridRows(a, b, column, GRID_SORT.descending));
+
+  const scroller = document.getElementById('games-scroll');
+  if (scroller) scroller.scrollTop = 0;
+  setGridCount(GRID_VIEW.length === GRID_ROWS.length
+    ? `${GRID_ROWS.length.toLocaleString()} lines`
+    : `${GRID_VIEW.length.toLocaleString()} of ${GRID_ROWS.length.toLocaleString()} lines`);
+  renderGridHeader();
+  renderGridRows();
+}
+
+function renderGridHeader() {
+  document.querySelectorAll('#gamesTable th[data-grid-sort]').forEach(th => {
+    const key = th.getAttribute('data-grid-sort');
+    const label = gridColumn(key).label;
+    const active = key === GRID_SORT.key;
+    th.textContent = active ? `${label} ${GRID_SORT.descending ? '▼' : '▲'}` : label;
+    th.setAttribute('aria-sort', active ? (GRID_SORT.descending ? 'descending' : 'ascending') : 'none');
+  });
+}
+
+function gridRow(game, index) {
+  const cells = GRID_COLUMNS.map(column => {
+    const text = column.cell ? column.cell(game) : column.value(game);
+    const className = column.className ? column.className(game) : '';
+    const style = column.align === 'right' ? ' style="text-align:right"' : '';
+    return `<td${className ? ` class="${className}"` : ''}${style}>${text === '' ? '—' : text}</td>`;
+  }).join('');
+  return `<tr${index % 2 ? ' class="grid-alt"' : ''}>${cells}</tr>`;
+}
+
+// Render the rows in view plus an overscan margin; spacers keep the scroll height
+function renderGridRows() {
+  GRID_FRAME = null;
+  const tbody = document.getElementById('games-tbody');
+  const scroller = document.getElementById('games-scroll');
+  if (!tbody) return;
+  if (!GRID_VIEW.length) {
+    tbody.innerHTML = `<tr class="empty-row"><td colspan="${GRID_COLUMNS.length}">No games match these filters.</td></tr>`;
+    return;
+  }
+
+  const viewport = scroller ? scroller.clientHeight || GRID_ROW_HEIGHT * 15 : GRID_ROW_HEIGHT * 15;
+  const scrollTop = scroller ? scroller.scrollTop : 0;
+  const first = Math.max(0, Math.floor(scrollTop / GRID_ROW_HEIGHT) - GRID_OVERSCAN);
+  const last = Math.min(GRID_VIEW.length, Math.ceil((scrollTop + viewport) / GRID_ROW_HEIGHT) + GRID_OVERSCAN);
+  const spacer = height => (
+    height > 0 ? `<tr class="grid-spacer" style="height:${height}px"><td colspan="${GRID_COLUMNS.length}"></td></tr>` : ''
+  );
+
+  tbody.innerHTML = spacer(first * GRID_ROW_HEIGHT) +
+    GRID_VIEW.slice(first, last).map((game, offset) => gridRow(game, first + offset)).join('') +
+    spacer((GRID_VIEW.length - last) * GRID_ROW_HEIGHT);
+}
+
+function scheduleGridRender() {
+  if (GRID_FRAME !== null) return;
+  GRID_FRAME = (window.requestAnimationFrame || (callback => setTimeout(callback, 16)))(renderGridRows);
+}
+
+function sortGridBy(key) {
+  GRID_SORT = GRID_SORT.key === key
+    ? { key, descending: !GRID_SORT.descending }
+    : { key, descending: key === 'startDate' };
+  applyGridFilters();
+}
+
+function csvCell(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// The filtered, sorted rows exactly as the grid shows them
+function exportGridCsv() {
+  if (!GRID_VIEW.length) return;
+  const lines = [
+    GRID_COLUMNS.map(column => csvCell(column.label)).join(','),
+    ...GRID_VIEW.map(game => GRID_COLUMNS.map(column => csvCell((column.csv || column.value)(game))).join(','))
+  ];
+  const blob = new Blob([`${lines.join('\r\n')}\r\n`], { type: 'text/csv' });
+  const season = document.getElementById('overview-season')?.value || 'all-seasons';
+  const link = document.createElement('a');
+  link.href = URL.createObjectURL(blob);
+  link.download = `${CURRENT_SPORT}-games-${season}.csv`;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(link.href), 0);
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('overview-season')?.addEventListener('change', loadGamesGrid);
+  ['overview-conf', 'overview-book'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', applyGridFilters);
+  });
+  document.getElementById('overview-team')?.addEventListener('input', applyGridFilters);
+  document.getElementById('games-scroll')?.addEventListener('scroll', scheduleGridRender);
+  document.getElementById('btn-export')?.addEventListener('click', exportGridCsv);
+  document.querySelectorAll('#gamesTable th[data-grid-sort]').forEach(th => {
+    th.addEventListener('click', () => sortGridBy(th.getAttribute('data-grid-sort')));
+  });
+});
+
+const _gamesGridPrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _gamesGridPrevRenderAllTabs();
+  fillGridFilters();
+  loadGamesGrid();
+};
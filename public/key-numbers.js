@@ -0,0 +1,95 @@
+/*
+ * Key Numbers tab for the betting dashboard
+ *
+ * Renders /api/key-numbers for the active sport: frequency cards for the
+ * classic key numbers (3, 7, 10, 14), the final-margin distribution chart with
+ * key numbers highlighted, and the cover/push table for every half-point
+ * spread, including how often a half-point buy would change the result.
+ */
+
+const KEY_NUMBER_MAX_MARGIN = 35;
+
+function renderKeyNumberCards(result) {
+  const container = document.getElementById('key-number-cards');
+  if (!container) return;
+  container.innerHTML = result.keyNumbers.map(entry => (
+    '<div class="team-summary-card">' +
+    `<h3>Margin of <span class="key-number">${entry.margin}</span></h3>` +
+    `<p>${formatPercent(entry.frequency)}</p>` +
+    `<small>${entry.games.toLocaleString()} of ${result.games.toLocaleString()} games</small>` +
+    '</div>'
+  )).join('');
+}
+
+function renderKeyNumbersChart(result) {
+  const keys = new Set(result.keyNumbers.map(entry => entry.margin));
+  const byMargin = new Map(result.distribution.map(entry => [entry.margin, entry]));
+  const margins = Array.from({ length: KEY_NUMBER_MAX_MARGIN + 1 }, (_, margin) => margin);
+
+  renderChart('keyNumbersChart', {
+    type: 'bar',
+    data: {
+      labels: margins,
+      datasets: [{
+        label: 'Share of games %',
+        data: margins.map(margin => (byMargin.get(margin)?.frequency || 0) * 100),
+        backgroundColor: margins.map(margin => (keys.has(margin) ? '#e17055' : 'rgba(42, 82, 152, 0.6)'))
+      }]
+    },
+    options: {
+      plugins: { legend: { display: false } },
+      scales: {
+        x: { title: { display: true, text: 'Final margin (points)' } },
+        y: { title: { display: true, text: '% of games' } }
+      }
+    }
+  });
+}
+
+function formatHalfPoint(buy) {
+  const label = buy.keyNumber ? `<span class="key-number">${buy.crosses}</span>` : buy.crosses;
+  const effect = buy.effect === 'push-to-win' ? 'push → win' : 'loss → push';
+  return `${formatPercent(buy.landingRate)} <span class="muted">on ${label} (${effect})</span>`;
+}
+
+function renderKeyNumbersTable(result) {
+  const tbody = document.getElementById('key-numbers-tbody');
+  if (!tbody) return;
+  const windowLabel = document.getElementById('key-numbers-window');
+  if (windowLabel) windowLabel.textContent = result.window;
+  if (!result.spreads.length) {
+    tbody.innerHTML = '<tr class="empty-row"><td colspan="7">No completed games with spreads.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = result.spreads.map(row => `
+    <tr>
+      <td style="text-align:right">-${row.spread.toFixed(1)}</td>
+      <td style="text-align:right">${row.sample.toLocaleString()}</td>
+      <td style="text-align:right">${formatPercent(row.favoriteCover)}</td>
+      <td style="text-align:right">${Number.isInteger(row.spread) ? formatPercent(row.push) : '—'}</td>
+      <td style="text-align:right">${formatPercent(row.underdogCover)}</td>
+      <td>${formatHalfPoint(row.buyFavorite)}</td>
+      <td>${formatHalfPoint(row.buyUnderdog)}</td>
+    </tr>
+  `).join('');
+}
+
+async function loadKeyNumbers() {
+  try {
+    const resp = await getJson(withSport('/api/key-numbers'));
+    if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+    renderKeyNumberCards(resp.data);
+    renderKeyNumbersChart(resp.data);
+    renderKeyNumbersTable(resp.data);
+  } catch (error) {
+    console.error('❌ Failed to load key numbers:', error);
+    const tbody = document.getElementById('key-numbers-tbody');
+    if (tbody) tbody.innerHTML = '<tr class="empty-row"><td colspan="7">Error loading key numbers.</td></tr>';
+  }
+}
+
+const _keyNumbersPrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _keyNumbersPrevRenderAllTabs();
+  loadKeyNumbers();
+};
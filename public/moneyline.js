@@ -0,0 +1,114 @@
+/*
+ * Moneyline Snapshot for the Overview tab
+ *
+ * Pulls the moneyline backtest from /api/moneyline using the Overview
+ * season / conference / book filters, fills the `moneyline-cards` grid with
+ * flat-stake and to-win results for favorites, underdogs, home and away, and
+ * draws ROI by price bucket on the `moneylineChart` canvas.
+ */
+
+function formatRoi(value) {
+  const num = toNumber(value);
+  return num === null ? '—' : `${formatSigned(num * 100, 1)}%`;
+}
+
+function moneylineQuery() {
+  const params = new URLSearchParams();
+  const filters = {
+    season: document.getElementById('overview-season')?.value,
+    conference: document.getElementById('overview-conf')?.value,
+    book: document.getElementById('overview-book')?.value
+  };
+  Object.entries(filters).forEach(([key, value]) => {
+    if (value) params.set(key, value);
+  });
+  const query = params.toString();
+  return withSport(`/api/moneyline${query ? `?${query}` : ''}`);
+}
+
+function renderMoneylineCards(result) {
+  const container = document.getElementById('moneyline-cards');
+  if (!container) return;
+  const labels = {
+    favorites: 'Favorites',
+    underdogs: 'Underdogs',
+    home: 'Home',
+    away: 'Away'
+  };
+  container.innerHTML = Object.entries(labels).map(([key, label]) => {
+    const side = result.sides[key];
+    const roiClass = side.flat.roi > 0 ? 'ev-positive' : 'ev-negative';
+    return (
+      '<div class="team-summary-card">' +
+      `<h3>${label}</h3>` +
+      `<p class="${roiClass}">${formatRoi(side.flat.roi)}</p>` +
+      `<small>${side.wins}-${side.losses} | Flat ${formatUnits(side.flat.units)}</small>` +
+      `<small>To-win ${formatUnits(side.toWin.units)} (${formatRoi(side.toWin.roi)})</small>` +
+      '</div>'
+    );
+  }).join('');
+}
+
+function renderMoneylineChart(result) {
+  const buckets = result.buckets.filter(bucket => bucket.bets > 0);
+  renderChart('moneylineChart', {
+    type: 'bar',
+    data: {
+      labels: buckets.map(bucket => bucket.label),
+      datasets: [
+        {
+          label: 'Flat stake ROI %',
+          data: buckets.map(bucket => (bucket.flat.roi ?? 0) * 100),
+          backgroundColor: 'rgba(255, 107, 53, 0.7)'
+        },
+        {
+          label: 'To-win ROI %',
+          data: buckets.map(bucket => (bucket.toWin.roi ?? 0) * 100),
+          backgroundColor: 'rgba(42, 82, 152, 0.7)'
+        }
+      ]
+    },
+    options: {
+      plugins: {
+        tooltip: {
+          callbacks: {
+            afterLabel: context => `${buckets[context.dataIndex].bets} bets`
+          }
+        }
+      },
+      scales: {
+        y: { title: { display: true, text: 'ROI %' } }
+      }
+    }
+  }, { emptyMessage: 'No priced moneylines to chart.' });
+}
+
+async function loadMoneylineSnapshot() {
+  const container = document.getElementById('moneyline-cards');
+  try {
+    const resp = await getJson(moneylineQuery());
+    if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+    if (!resp.data.games) {
+      if (container) container.innerHTML = '<div class="chart-empty">No graded moneyline prices for this view.</div>';
+      renderMoneylineChart(resp.data);
+      return;
+    }
+    renderMoneylineCards(resp.data);
+    renderMoneylineChart(resp.data);
+  } catch (error) {
+    console.error('❌ Failed to load moneyline snapshot:', error);
+    if (container) container.innerHTML = '<div class="chart-empty">Error loading moneyline data.</div>';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  ['overview-season', 'overview-conf', 'overview-book'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', loadMoneylineSnapshot);
+  });
+});
+
+const _moneylinePrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _moneylinePrevRenderAllTabs();
+  loadMoneylineSnapshot();
+};
@@ -3,9 +3,21 @@
  *
  * Enriches raw NFL games with market movement metrics sourced from the
  * historical odds workbook (moneyline, spread, and total open/min/max/close).
- * It surfaces steam moves, reverse line movement, arbitrage margin, implied
- * probability shifts, and volatility scores, then renders the advanced NFL
- * table on the dashboard.
+ * It surfaces steam moves, reverse line movement, range arbitrage margin,
+ * implied probability shifts, and volatility scores, then renders the advanced
+ * NFL table on the dashboard. The range arb pairs the best home and away
+ * moneylines one book showed at any point in the week, so it measures how far
+ * the price swung rather than a bet that could have been placed; executable
+ * cross-book arbs are on the Arbs & Middles tab. Probabilities, fair odds and
+ * hold come from the no-vig `pricing` / `openPricing` that /api/games
+ * attaches to each line.
+ *
+ * The line movement heat map puts conferences (NCAAF) or divisions (NFL)
+ * against the weeks of one season, each cell colored by the average absolute
+ * spread move, total move or volatility score of the lines in it. A game
+ * counts toward both teams' conferences. Clicking a cell lists its lines in
+ * the advanced table below. A season's lines are fetched when the tab is
+ * open and kept per sport and season, so switching back does not refetch.
  */
 
 // Convert American moneyline odds to decimal odds
@@ -15,12 +27,15 @@ function moneylineToDecimal(ml) {
   return odds > 0 ? (odds / 100) + 1 : (100 / Math.abs(odds)) + 1;
 }
 
-function impliedProbabilityFromMoneyline(ml) {
-  const odds = Number(ml);
-  if (!Number.isFinite(odds)) return null;
-  if (odds > 0) return 100 / (odds + 100);
-  const abs = Math.abs(odds);
-  return abs / (abs + 100);
+// No-vig probability for one side of a priced market, or null when unpriced
+function noVigProbability(pricing, market, side) {
+  const probability = pricing && pricing[market] && pricing[market][side] && pricing[market][side].probability;
+  return Number.isFinite(probability) ? probability : null;
+}
+
+function marketHold(pricing, market) {
+  const hold = pricing && pricing[market] && pricing[market].hold;
+  return Number.isFinite(hold) ? hold : null;
 }
 
 function selectBestMoneyline(candidates = []) {
@@ -39,14 +54,6 @@ function selectBestMoneyline(candidates = []) {
   return { value: bestValue, decimal: bestDecimal };
 }
 
-function formatOdds(ml) {
-  const value = Number(ml);
-  if (!Number.isFinite(value)) return '—';
-  if (Number.isInteger(value)) return value > 0 ? `+${value}` : `${value}`;
-  const rounded = Math.round(value);
-  return rounded > 0 ? `+${rounded}` : `${rounded}`;
-}
-
 function formatOddsWithDecimal(ml, decimalOdds) {
   const odds = formatOdds(ml);
   if (odds === '—') return '—';
@@ -54,23 +61,10 @@ function formatOddsWithDecimal(ml, decimalOdds) {
   return `${odds} (${decimalOdds.toFixed(2)}x)`;
 }
 
-function formatNumber(value, digits = 1) {
-  const num = Number(value);
-  if (!Number.isFinite(num)) return '—';
-  return num.toFixed(digits);
-}
-
-function formatSigned(value, digits = 1) {
-  const num = Number(value);
-  if (!Number.isFinite(num)) return '';
-  const fixed = num.toFixed(digits);
-  return num > 0 ? `+${fixed}` : fixed;
-}
-
 function formatRange(min, max, digits = 1) {
-  const minNum = Number(min);
-  const maxNum = Number(max);
-  if (!Number.isFinite(minNum) || !Number.isFinite(maxNum)) return '—';
+  const minNum = toNumber(min);
+  const maxNum = toNumber(max);
+  if (minNum === null || maxNum === null) return '—';
   return `${minNum.toFixed(digits)} to ${maxNum.toFixed(digits)}`;
 }
 
@@ -93,15 +87,15 @@ function computeNFLMetrics(games) {
     const totalOverHistory = game.totalOverOddsHistory || {};
     const totalUnderHistory = game.totalUnderOddsHistory || {};
 
-    const spreadOpen = toNumber(spreadHistory.open ?? game.openingSpread);
-    const spreadClose = toNumber(spreadHistory.close ?? game.spread);
-    const spreadMin = toNumber(spreadHistory.min);
-    const spreadMax = toNumber(spreadHistory.max);
+    const spreadOpen = toNumber(spreadHistory.open ?? game.openingSpread ?? game.homeLineOpen);
+    const spreadClose = toNumber(spreadHistory.close ?? game.spread ?? game.homeLineClose);
+    const spreadMin = toNumber(spreadHistory.min ?? game.homeLineMin);
+    const spreadMax = toNumber(spreadHistory.max ?? game.homeLineMax);
 
-    const totalOpen = toNumber(totalHistory.open ?? game.openingOverUnder);
-    const totalClose = toNumber(totalHistory.close ?? game.overUnder);
-    const totalMin = toNumber(totalHistory.min);
-    const totalMax = toNumber(totalHistory.max);
+    const totalOpen = toNumber(totalHistory.open ?? game.openingOverUnder ?? game.totalScoreOpen);
+    const totalClose = toNumber(totalHistory.close ?? game.overUnder ?? game.totalScoreClose);
+    const totalMin = toNumber(totalHistory.min ?? game.totalScoreMin);
+    const totalMax = toNumber(totalHistory.max ?? game.totalScoreMax);
 
     const homeMlOpen = toNumber(homeMoneylineHistory.open ?? game.homeMoneylineOpen);
     const homeMlClose = toNumber(homeMoneylineHistory.close ?? game.homeMoneyline);
@@ -148,10 +142,10 @@ function computeNFLMetrics(games) {
 
     if (totalMove !== null && Math.abs(totalMove) >= 2) signals.push('TOTAL STEAM');
 
-    const homeProbOpen = impliedProbabilityFromMoneyline(homeMlOpen);
-    const homeProbClose = impliedProbabilityFromMoneyline(homeMlClose);
-    const awayProbOpen = impliedProbabilityFromMoneyline(awayMlOpen);
-    const awayProbClose = impliedProbabilityFromMoneyline(awayMlClose);
+    const homeProbOpen = noVigProbability(game.openPricing, 'moneyline', 'home');
+    const homeProbClose = noVigProbability(game.pricing, 'moneyline', 'home');
+    const awayProbOpen = noVigProbability(game.openPricing, 'moneyline', 'away');
+    const awayProbClose = noVigProbability(game.pricing, 'moneyline', 'away');
 
     const homeProbShift = (homeProbOpen !== null && homeProbClose !== null)
       ? (homeProbClose - homeProbOpen) * 100
@@ -179,7 +173,7 @@ function computeNFLMetrics(games) {
         arbProfit = (1 - inverseSum) * 100;
       }
     }
-    if (arbProfit !== null) signals.push('ARB');
+    if (arbProfit !== null) signals.push('RANGE ARB');
 
     const volatilityComponents = [
       Math.abs(lineMove ?? 0),
@@ -230,6 +224,13 @@ function computeNFLMetrics(games) {
       bestHomeMoneylineDecimal: bestHome.decimal,
       bestAwayMoneyline: bestAway.value,
       bestAwayMoneylineDecimal: bestAway.decimal,
+      homeFairProbability: homeProbClose,
+      awayFairProbability: awayProbClose,
+      homeFairMoneyline: game.pricing?.moneyline?.home?.fair ?? null,
+      awayFairMoneyline: game.pricing?.moneyline?.away?.fair ?? null,
+      moneylineHold: marketHold(game.pricing, 'moneyline'),
+      spreadHold: marketHold(game.pricing, 'spread'),
+      totalHold: marketHold(game.pricing, 'total'),
       volatilityScore
     };
   });
@@ -238,11 +239,10 @@ function computeNFLMetrics(games) {
 function formatSpreadSummary(game) {
   const open = formatNumber(game.spreadOpen, 1);
   const close = formatNumber(game.spreadClose, 1);
-  const delta = formatSigned(game.lineMove, 1);
   const range = formatRange(game.spreadMin, game.spreadMax, 1);
   const openOdds = formatOdds(game.spreadOddsOpen);
   const closeOdds = formatOdds(game.spreadOddsClose);
-  const deltaSection = delta ? ` (delta ${delta})` : '';
+  const deltaSection = toNumber(game.lineMove) !== null ? ` (delta ${formatSigned(game.lineMove, 1)})` : '';
   return (
     `<div>Open ${open} @ ${openOdds}</div>` +
     `<div>Close ${close}${deltaSection} @ ${closeOdds}</div>` +
@@ -250,12 +250,17 @@ function formatSpreadSummary(game) {
   );
 }
 
-function buildMoneylineRow(label, open, close, min, max, probShift, bestValue, bestDecimal) {
+function formatFairPrice(fair, probability) {
+  if (!Number.isFinite(fair) || !Number.isFinite(probability)) return '';
+  return ` | Fair ${formatOdds(fair)} (${formatPercent(probability)})`;
+}
+
+function buildMoneylineRow(label, open, close, min, max, probShift, bestValue, bestDecimal, fairSection) {
   const openStr = formatOdds(open);
   const closeStr = formatOdds(close);
   const delta = (Number.isFinite(open) && Number.isFinite(close))
     ? formatSigned(close - open, 0)
-    : '';
+    : null;
   const range = formatRange(min, max, 0);
   const best = formatOddsWithDecimal(bestValue, bestDecimal);
   const prob = formatProbShift(probShift);
@@ -263,7 +268,7 @@ function buildMoneylineRow(label, open, close, min, max, probShift, bestValue, b
   const bestSection = best !== '—' ? ` | Best ${best}` : '';
   return (
     `<div><strong>${label}</strong>: ${openStr} -> ${closeStr}${deltaSection}${prob}</div>` +
-    `<div class="muted">Range ${range}${bestSection}</div>`
+    `<div class="muted">Range ${range}${bestSection}${fairSection}</div>`
   );
 }
 
@@ -277,7 +282,8 @@ function formatMoneylineSummary(game) {
       game.homeMoneylineMax,
       game.homeProbabilityShift,
       game.bestHomeMoneyline,
-      game.bestHomeMoneylineDecimal
+      game.bestHomeMoneylineDecimal,
+      formatFairPrice(game.homeFairMoneyline, game.homeFairProbability)
     ) +
     buildMoneylineRow(
       game.awayTeam || 'Away',
@@ -287,7 +293,8 @@ function formatMoneylineSummary(game) {
       game.awayMoneylineMax,
       game.awayProbabilityShift,
       game.bestAwayMoneyline,
-      game.bestAwayMoneylineDecimal
+      game.bestAwayMoneylineDecimal,
+      formatFairPrice(game.awayFairMoneyline, game.awayFairProbability)
     )
   );
 }
@@ -295,9 +302,8 @@ function formatMoneylineSummary(game) {
 function formatTotalSummary(game) {
   const open = formatNumber(game.totalOpen, 1);
   const close = formatNumber(game.totalClose, 1);
-  const delta = formatSigned(game.totalMove, 1);
   const range = formatRange(game.totalMin, game.totalMax, 1);
-  const deltaSection = delta ? ` (delta ${delta})` : '';
+  const deltaSection = toNumber(game.totalMove) !== null ? ` (delta ${formatSigned(game.totalMove, 1)})` : '';
   const overOdds = `${formatOdds(game.totalOverOpen)} -> ${formatOdds(game.totalOverClose)}`;
   const underOdds = `${formatOdds(game.totalUnderOpen)} -> ${formatOdds(game.totalUnderClose)}`;
   return (
@@ -313,15 +319,16 @@ function formatSignals(signals) {
 }
 
 function formatEdgeSummary(game) {
-  const clv = Number.isFinite(game.clv) ? formatSigned(game.clv, 1) : '—';
+  const clv = formatSigned(game.clv, 1);
   const arb = Number.isFinite(game.arbProfit) ? `${game.arbProfit.toFixed(2)}%` : '—';
   const mlShift = Number.isFinite(game.moneylineSteam) ? `${game.moneylineSteam.toFixed(1)} pp` : '—';
-  const volatility = Number.isFinite(game.volatilityScore) ? game.volatilityScore.toFixed(1) : '—';
+  const volatility = formatNumber(game.volatilityScore, 1);
   return (
     `<div>CLV ${clv}</div>` +
-    `<div>Arb ${arb}</div>` +
+    `<div>Range arb ${arb}</div>` +
     `<div>ML shift ${mlShift}</div>` +
-    `<div>Volatility ${volatility}</div>`
+    `<div>Volatility ${volatility}</div>` +
+    `<div class="muted">Hold ML ${formatPercent(game.moneylineHold)} | Spr ${formatPercent(game.spreadHold)} | Tot ${formatPercent(game.totalHold)}</div>`
   );
 }
 
@@ -332,8 +339,8 @@ function formatMatchupCell(game) {
   const tags = [
     game.lineProvider,
     game.seasonType,
-    game.playoffGame ? 'Playoff' : null,
-    game.neutralVenue ? 'Neutral site' : null
+    game.playoffGame ? game.round || 'Playoff' : null,
+    game.neutralSite ? 'Neutral site' : null
   ].filter(Boolean).join(' | ');
   const tagsLine = tags ? `<div class="muted">${tags}</div>` : '';
   const notesLine = game.notes ? `<div class="muted">${game.notes}</div>` : '';
@@ -372,18 +379,212 @@ function renderNflAdvancedTable(games) {
   });
 }
 
+const HEAT_METRICS = {
+  spread: { label: 'Avg spread move (pts)', value: game => (Number.isFinite(game.lineMove) ? Math.abs(game.lineMove) : null) },
+  total: { label: 'Avg total move (pts)', value: game => (Number.isFinite(game.totalMove) ? Math.abs(game.totalMove) : null) },
+  volatility: { label: 'Avg volatility score', value: game => (Number.isFinite(game.volatilityScore) ? game.volatilityScore : null) }
+};
+
+// Fields computeNFLMetrics() reads, so the season load stays small
+const HEAT_FIELDS = [
+  'id', 'sport', 'season', 'week', 'seasonType', 'round', 'startDate', 'homeTeam', 'awayTeam',
+  'homeConference', 'awayConference', 'homeScore', 'awayScore', 'neutralSite', 'playoffGame', 'notes',
+  'lineProvider', 'spread', 'openingSpread', 'overUnder', 'openingOverUnder', 'homeMoneyline', 'awayMoneyline',
+  'homeLineOpen', 'homeLineMin', 'homeLineMax', 'homeLineClose', 'homeLineOddsOpen', 'homeLineOddsClose',
+  'totalScoreOpen', 'totalScoreMin', 'totalScoreMax', 'totalScoreClose',
+  'totalScoreOverOpen', 'totalScoreOverClose', 'totalScoreUnderOpen', 'totalScoreUnderClose',
+  'homeMoneylineOpen', 'homeMoneylineMin', 'homeMoneylineMax',
+  'awayMoneylineOpen', 'awayMoneylineMin', 'awayMoneylineMax',
+  'pricing', 'openPricing'
+];
+
+let HEAT_GAMES = [];
+let HEAT_SELECTION = null;
+let HEAT_LOAD_TOKEN = 0;
+// `${sport}|${season}` the map shows or is loading, and the games already fetched per key
+let HEAT_KEY = null;
+const HEAT_CACHE = new Map();
+
+// NFL playoff weeks go by round; NCAAF restarts week numbers for the postseason
+function heatWeekKey(game) {
+  if (game.round) return game.round;
+  if (!Number.isFinite(game.week)) return null;
+  return game.seasonType === 'postseason' ? `Post ${game.week}` : String(game.week);
+}
+
+function heatWeekOrder(game) {
+  const postseason = game.seasonType === 'postseason' || Boolean(game.round);
+  return (postseason ? 1000 : 0) + (Number.isFinite(game.week) ? game.week : 0);
+}
+
+function buildHeatMap(games, metric) {
+  const value = HEAT_METRICS[metric].value;
+  const weeks = new Map();
+  const cells = new Map();
+  games.forEach(game => {
+    const week = heatWeekKey(game);
+    if (week === null) return;
+    if (!weeks.has(week)) weeks.set(week, heatWeekOrder(game));
+    const conferences = [...new Set([game.homeConference || 'Unknown', game.awayConference || 'Unknown'])];
+    conferences.forEach(conference => {
+      const key = `${conference}|${week}`;
+      if (!cells.has(key)) cells.set(key, { conference, week, sum: 0, count: 0, games: [] });
+      const cell = cells.get(key);
+      cell.games.push(game);
+      const amount = value(game);
+      if (amount === null) return;
+      cell.sum += amount;
+      cell.count += 1;
+    });
+  });
+
+  let max = 0;
+  cells.forEach(cell => {
+    cell.average = cell.count ? cell.sum / cell.count : null;
+    if (cell.average !== null) max = Math.max(max, cell.average);
+  });
+  return {
+    weeks: [...weeks.entries()].sort((a, b) => a[1] - b[1]).map(([week]) => week),
+    conferences: [...new Set([...cells.values()].map(cell => cell.conference))].sort(),
+    cells,
+    max
+  };
+}
+
+function heatColor(average, max) {
+  if (average === null || !max) return 'transparent';
+  return `rgba(255, 107, 53, ${(0.08 + 0.82 * (average / max)).toFixed(2)})`;
+}
+
+function renderHeatMap() {
+  const table = document.getElementById('heatMap');
+  if (!table) return;
+  const metric = document.getElementById('heat-metric')?.value || 'spread';
+  if (!HEAT_GAMES.length) {
+    table.innerHTML = '<tbody><tr class="empty-row"><td>No lines for this season.</td></tr></tbody>';
+    return;
+  }
+  const map = buildHeatMap(HEAT_GAMES, metric);
+  const axis = CURRENT_SPORT === 'nfl' ? 'Division' : 'Conference';
+  const header = `<thead><tr><th>${axis}</th>${map.weeks.map(week => `<th>${escapeHtml(week)}</th>`).join('')}</tr></thead>`;
+  const body = map.conferences.map(conference => {
+    const cells = map.weeks.map(week => {
+      const cell = map.cells.get(`${conference}|${week}`);
+      if (!cell) return '<td class="heat-cell heat-empty"></td>';
+      const selected = HEAT_SELECTION && HEAT_SELECTION.conference === conference && HEAT_SELECTION.week === week;
+      const text = cell.average === null ? '—' : cell.average.toFixed(1);
+      const title = `${conference}, week ${week}: ${text} over ${cell.games.length} line${cell.games.length === 1 ? '' : 's'}`;
+      return `<td class="heat-cell${selected ? ' selected' : ''}" style="background:${heatColor(cell.average, map.max)}" ` +
+        `data-heat-conference="${escapeHtml(conference)}" data-heat-week="${escapeHtml(week)}" title="${escapeHtml(title)}">${text}</td>`;
+    }).join('');
+    return `<tr><th>${escapeHtml(conference)}</th>${cells}</tr>`;
+  }).join('');
+  table.innerHTML = `${header}<tbody>${body}</tbody>`;
+
+  const legend = document.getElementById('heat-legend');
+  if (legend) legend.textContent = `${HEAT_METRICS[metric].label}; darkest = ${map.max.toFixed(1)}. Click a cell to list its lines.`;
+}
+
+// List the selected cell's lines in the advanced table, or go back to the default view
+function showHeatSelection(conference, week) {
+  HEAT_SELECTION = conference ? { conference, week } : null;
+  const caption = document.getElementById('heat-selection');
+  if (!HEAT_SELECTION) {
+    if (caption) caption.classList.add('hidden');
+    renderHeatMap();
+    renderNflAdvancedTab();
+    return;
+  }
+  const games = HEAT_GAMES
+    .filter(game => heatWeekKey(game) === week &&
+      [game.homeConference || 'Unknown', game.awayConference || 'Unknown'].includes(conference))
+    .sort((a, b) => String(a.startDate).localeCompare(String(b.startDate)));
+  if (caption) {
+    caption.classList.remove('hidden');
+    caption.querySelector('span').textContent = `${conference}, week ${week}: ${games.length} line${games.length === 1 ? '' : 's'}`;
+  }
+  renderHeatMap();
+  renderNflAdvancedTable(games);
+}
+
+function fillHeatSeasons() {
+  const select = document.getElementById('heat-season');
+  if (!select) return;
+  const seasons = (STATS && STATS.seasons) || [];
+  const current = seasons.map(String).includes(select.value) ? select.value : CURRENT_SEASON;
+  select.innerHTML = seasons.map(season => `<option value="${season}">${season}</option>`).join('');
+  select.value = current;
+}
+
+function heatTabOpen() {
+  return Boolean(document.getElementById('nflAdvanced')?.classList.contains('active'));
+}
+
+async function loadHeatMap() {
+  const table = document.getElementById('heatMap');
+  if (!table) return;
+  const season = document.getElementById('heat-season')?.value || CURRENT_SEASON;
+  const key = `${CURRENT_SPORT}|${season}`;
+  if (key === HEAT_KEY) {
+    if (HEAT_CACHE.has(key)) renderHeatMap();
+    return;
+  }
+  HEAT_KEY = key;
+  const token = ++HEAT_LOAD_TOKEN;
+  if (HEAT_SELECTION) showHeatSelection(null);
+  if (HEAT_CACHE.has(key)) {
+    HEAT_GAMES = HEAT_CACHE.get(key);
+    renderHeatMap();
+    return;
+  }
+  table.innerHTML = '<tbody><tr class="empty-row"><td>Loading line movement…</td></tr></tbody>';
+  try {
+    const games = await fetchAllGames({ season, fields: HEAT_FIELDS.join(',') });
+    if (token !== HEAT_LOAD_TOKEN) return;
+    HEAT_GAMES = computeNFLMetrics(games);
+    HEAT_CACHE.set(key, HEAT_GAMES);
+    renderHeatMap();
+  } catch (error) {
+    if (token !== HEAT_LOAD_TOKEN) return;
+    console.error('❌ Failed to load line movement heat map:', error);
+    HEAT_GAMES = [];
+    HEAT_KEY = null;
+    table.innerHTML = '<tbody><tr class="empty-row"><td>Error loading line movement.</td></tr></tbody>';
+  }
+}
+
 // Render the entire NFL Advanced tab when NFL data is active
 function renderNflAdvancedTab() {
-  if (CURRENT_SPORT !== 'nfl') return;
+  if (HEAT_SELECTION) return;
+  if (CURRENT_SPORT !== 'nfl') {
+    const tbody = document.getElementById('nfl-table-body');
+    if (tbody) tbody.innerHTML = '<tr class="empty-row"><td colspan="9">Switch to NFL to see the advanced market table, or pick a heat map cell.</td></tr>';
+    return;
+  }
   const games = ALL_GAMES.filter(g => g.sport === 'nfl');
   const metrics = computeNFLMetrics(games);
   renderNflAdvancedTable(metrics);
 }
 
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('heat-season')?.addEventListener('change', loadHeatMap);
+  document.getElementById('heat-metric')?.addEventListener('change', renderHeatMap);
+  document.getElementById('heatMap')?.addEventListener('click', event => {
+    const cell = event.target.closest('[data-heat-conference]');
+    if (cell) showHeatSelection(cell.getAttribute('data-heat-conference'), cell.getAttribute('data-heat-week'));
+  });
+  document.getElementById('heat-clear')?.addEventListener('click', () => showHeatSelection(null));
+  document.querySelector('button.tab[onclick="showTab(\'nflAdvanced\')"]')?.addEventListener('click', loadHeatMap);
+});
+
 const _origRenderAllTabs = typeof renderAllTabs === 'function' ? renderAllTabs : null;
 function renderAllTabsWrapper() {
   if (_origRenderAllTabs) _origRenderAllTabs();
+  HEAT_SELECTION = null;
+  document.getElementById('heat-selection')?.classList.add('hidden');
   renderNflAdvancedTab();
+  fillHeatSeasons();
+  if (heatTabOpen()) loadHeatMap();
 }
 if (typeof renderAllTabs !== 'undefined') {
   renderAllTabs = renderAllTabsWrapper;
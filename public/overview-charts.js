@@ -0,0 +1,105 @@
+/*
+ * Overview charts for the betting dashboard
+ *
+ * Games by Season and Sportsbook Coverage, built from /api/stats. Both follow
+ * the Overview conference and book filters; the season chart keeps every
+ * season and highlights the selected one, while the coverage chart narrows
+ * to it. Coverage is the share of all games in view that a book priced a
+ * spread, total and moneyline for.
+ */
+
+function overviewStatsUrl(includeSeason) {
+  const params = new URLSearchParams();
+  const season = document.getElementById('overview-season')?.value;
+  const conference = document.getElementById('overview-conf')?.value;
+  const book = document.getElementById('overview-book')?.value;
+  if (includeSeason && season) params.set('season', season);
+  if (conference) params.set('conference', conference);
+  if (book) params.set('book', book);
+  const query = params.toString();
+  return withSport(`/api/stats${query ? `?${query}` : ''}`);
+}
+
+function renderSeasonChart(stats) {
+  const selected = document.getElementById('overview-season')?.value || '';
+  const seasons = stats.bySeason || [];
+  renderChart('seasonChart', {
+    type: 'bar',
+    data: {
+      labels: seasons.map(entry => String(entry.season)),
+      datasets: [
+        {
+          label: 'Games',
+          data: seasons.map(entry => entry.games),
+          backgroundColor: seasons.map(entry => (
+            !selected || String(entry.season) === selected ? CHART_COLORS.orange : CHART_COLORS.grey
+          ))
+        },
+        {
+          label: 'Book lines',
+          data: seasons.map(entry => entry.lines),
+          backgroundColor: CHART_COLORS.blue
+        }
+      ]
+    },
+    options: {
+      scales: { y: { beginAtZero: true, title: { display: true, text: 'Count' } } }
+    }
+  }, { emptyMessage: 'No games for these filters.' });
+}
+
+function renderProviderChart(stats) {
+  const books = stats.byBook || [];
+  renderChart('providerChart', {
+    type: 'bar',
+    data: {
+      labels: books.map(entry => entry.book),
+      datasets: [
+        { label: 'Spread %', data: books.map(entry => entry.spreadCoverage), backgroundColor: CHART_COLORS.orange },
+        { label: 'Total %', data: books.map(entry => entry.totalsCoverage), backgroundColor: CHART_COLORS.blue },
+        { label: 'Moneyline %', data: books.map(entry => entry.moneylineCoverage), backgroundColor: CHART_COLORS.green }
+      ]
+    },
+    options: {
+      indexAxis: 'y',
+      plugins: {
+        tooltip: {
+          callbacks: {
+            label: context => `${context.dataset.label.replace(' %', '')}: ${context.parsed.x.toFixed(1)}% of ${stats.totalGames.toLocaleString()} games`
+          }
+        }
+      },
+      scales: { x: { min: 0, max: 100, title: { display: true, text: '% of games' } } }
+    }
+  }, { emptyMessage: 'No sportsbook lines for these filters.' });
+}
+
+async function loadOverviewCharts() {
+  try {
+    const [seasonResp, seasonViewResp] = await Promise.all([
+      getJson(overviewStatsUrl(false)),
+      getJson(overviewStatsUrl(true))
+    ]);
+    if (!seasonResp.success || !seasonViewResp.success) {
+      throw new Error(seasonResp.error || seasonViewResp.error || 'API returned success=false');
+    }
+    renderSeasonChart(seasonResp.data);
+    renderProviderChart(seasonViewResp.data);
+  } catch (error) {
+    console.error('❌ Failed to load overview charts:', error);
+    renderChart('seasonChart', null, { emptyMessage: 'Error loading season counts.' });
+    renderChart('providerChart', null, { emptyMessage: 'Error loading sportsbook coverage.' });
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  ['overview-season', 'overview-conf', 'overview-book'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', loadOverviewCharts);
+  });
+});
+
+const _overviewChartsPrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _overviewChartsPrevRenderAllTabs();
+  loadOverviewCharts();
+};
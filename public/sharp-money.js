@@ -0,0 +1,150 @@
+/*
+ * Sharp Money tab for the betting dashboard
+ *
+ * Loads steam and reverse-line-movement alerts for the current season from
+ * /api/sharp, shows the conference and week roll-ups, and renders the alert
+ * list with the `.sharp-alert` styling. Week filtering and sorting happen in
+ * the browser so switching them does not refetch.
+ */
+
+let SHARP_RESULT = null;
+
+function sharpWeekKey(alert) {
+  if (alert.week === null || alert.week === undefined) return '';
+  return alert.seasonType === 'postseason' ? `Post ${alert.week}` : String(alert.week);
+}
+
+function formatSideRecord(summary) {
+  const decisions = summary.sideWins + summary.sideLosses;
+  if (!decisions) return '—';
+  return `${summary.sideWins}-${summary.sideLosses} (${formatPercent(summary.sideCoverRate)})`;
+}
+
+function renderSharpSummary(tbodyId, summaries, label) {
+  const tbody = document.getElementById(tbodyId);
+  if (!tbody) return;
+  if (!summaries.length) {
+    tbody.innerHTML = '<tr class="empty-row"><td colspan="5">No alerts.</td></tr>';
+    return;
+  }
+  tbody.innerHTML = summaries.map(summary => `
+    <tr>
+      <td>${label(summary.key)}</td>
+      <td style="text-align:right">${summary.alerts}</td>
+      <td style="text-align:right">${formatNumber(summary.avgSpreadMove, 1)}</td>
+      <td style="text-align:right">${formatNumber(summary.avgTotalMove, 1)}</td>
+      <td style="text-align:right">${formatSideRecord(summary)}</td>
+    </tr>
+  `).join('');
+}
+
+function fillSelect(select, placeholder, values, current) {
+  if (!select) return;
+  select.innerHTML = `<option value="">${placeholder}</option>` +
+    values.map(value => `<option value="${value}">${value}</option>`).join('');
+  if (values.map(String).includes(current)) select.value = current;
+}
+
+function sortSharpAlerts(alerts, key) {
+  const sorted = [...alerts];
+  if (key === 'startDate') {
+    return sorted.sort((a, b) => new Date(b.startDate || 0) - new Date(a.startDate || 0));
+  }
+  if (key === 'spreadMove' || key === 'totalMove') {
+    return sorted.sort((a, b) => Math.abs(b[key] ?? 0) - Math.abs(a[key] ?? 0));
+  }
+  return sorted.sort((a, b) => (b[key] ?? 0) - (a[key] ?? 0));
+}
+
+function formatSharpAlert(alert) {
+  const date = (alert.startDate || '').split('T')[0] || '—';
+  const sideTeam = alert.side === 'home' ? alert.homeTeam : alert.side === 'away' ? alert.awayTeam : null;
+  const details = [];
+  if (alert.spreadMove !== null) {
+    details.push(`Spread ${formatNumber(alert.spreadOpen, 1)} → ${formatNumber(alert.spreadClose, 1)} (${formatSigned(alert.spreadMove, 1)})${sideTeam ? ` toward ${sideTeam}` : ''}`);
+  }
+  if (alert.totalMove !== null) {
+    details.push(`Total ${formatNumber(alert.totalOpen, 1)} → ${formatNumber(alert.totalClose, 1)} (${formatSigned(alert.totalMove, 1)})${alert.totalSide ? ` toward the ${alert.totalSide}` : ''}`);
+  }
+  const results = [
+    alert.sideResult ? `Side ${alert.sideResult.toUpperCase()}` : null,
+    alert.totalResult ? `Total ${alert.totalResult.toUpperCase()}` : null
+  ].filter(Boolean).join(' | ');
+  const signals = alert.signals
+    .map(signal => `<span class="signal-chip">${signal} ×${alert.signalBooks[signal]}</span>`)
+    .join('');
+
+  return (
+    '<div class="sharp-alert">' +
+    `<div><strong>${alert.awayTeam} @ ${alert.homeTeam}</strong> — Week ${sharpWeekKey(alert) || '—'}, ${date}</div>` +
+    `<div>${signals}</div>` +
+    `<div>${details.join(' | ')}</div>` +
+    `<div>${alert.bookCount} book${alert.bookCount === 1 ? '' : 's'} | Strength ${alert.strength.toFixed(1)}${results ? ` | ${results}` : ''}</div>` +
+    '</div>'
+  );
+}
+
+function renderSharpAlerts() {
+  const container = document.getElementById('sharp-alerts');
+  if (!container || !SHARP_RESULT) return;
+  const week = document.getElementById('sharp-week')?.value || '';
+  const sortKey = document.getElementById('sharp-sort')?.value || 'strength';
+  const alerts = sortSharpAlerts(
+    SHARP_RESULT.alerts.filter(alert => !week || sharpWeekKey(alert) === week),
+    sortKey
+  );
+
+  const count = document.getElementById('sharp-count');
+  if (count) count.textContent = `${alerts.length} of ${SHARP_RESULT.alertCount} alerts across ${SHARP_RESULT.games} games`;
+  container.innerHTML = alerts.length
+    ? alerts.map(formatSharpAlert).join('')
+    : '<div class="chart-empty">No sharp signals for this view.</div>';
+}
+
+async function loadSharpMoney() {
+  const confSelect = document.getElementById('sharp-conf');
+  const weekSelect = document.getElementById('sharp-week');
+  const params = new URLSearchParams({ limit: '1000' });
+  if (CURRENT_SEASON) params.set('season', CURRENT_SEASON);
+  if (confSelect?.value) params.set('conference', confSelect.value);
+  params.set('minBooks', document.getElementById('sharp-min-books')?.value || '1');
+
+  try {
+    const resp = await getJson(withSport(`/api/sharp?${params.toString()}`));
+    if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+    SHARP_RESULT = resp.data;
+
+    const spreadThreshold = document.getElementById('sharp-spread-threshold');
+    if (spreadThreshold) spreadThreshold.textContent = SHARP_RESULT.thresholds.spreadSteam;
+    const totalThreshold = document.getElementById('sharp-total-threshold');
+    if (totalThreshold) totalThreshold.textContent = SHARP_RESULT.thresholds.totalSteam;
+
+    if (!confSelect?.value) {
+      fillSelect(confSelect, 'All Conferences / Divisions', SHARP_RESULT.byConference.map(s => s.key).sort(), '');
+    }
+    fillSelect(weekSelect, 'All Weeks', SHARP_RESULT.byWeek.map(s => String(s.key)), weekSelect?.value || '');
+
+    renderSharpSummary('sharp-conf-tbody', SHARP_RESULT.byConference, key => key);
+    renderSharpSummary('sharp-week-tbody', SHARP_RESULT.byWeek, key => (typeof key === 'number' ? `Week ${key}` : key));
+    renderSharpAlerts();
+  } catch (error) {
+    console.error('❌ Failed to load sharp money alerts:', error);
+    const container = document.getElementById('sharp-alerts');
+    if (container) container.innerHTML = '<div class="chart-empty">Error loading sharp money alerts.</div>';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('sharp-conf')?.addEventListener('change', loadSharpMoney);
+  document.getElementById('sharp-min-books')?.addEventListener('change', loadSharpMoney);
+  document.getElementById('sharp-week')?.addEventListener('change', renderSharpAlerts);
+  document.getElementById('sharp-sort')?.addEventListener('change', renderSharpAlerts);
+});
+
+const _sharpPrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  const confSelect = document.getElementById('sharp-conf');
+  if (confSelect) confSelect.value = '';
+  _sharpPrevRenderAllTabs();
+  loadSharpMoney();
+};
@@ -0,0 +1,89 @@
+/*
+ * Situational Trends tab for the betting dashboard
+ *
+ * Lists /api/situations for the active sport: the ATS and O/U record of
+ * teams off a bye, on a short week, on a second straight road game, in a
+ * revenge rematch, and in letdown and lookahead spots, each next to the
+ * cover rate of the team-games outside that spot, followed by the home/road
+ * and favorite/underdog records. Season and conference filters reload the
+ * splits.
+ */
+
+const SITUATION_BREAK_EVEN = 0.524;
+
+function situationRateClass(value) {
+  if (!Number.isFinite(value)) return '';
+  if (value >= SITUATION_BREAK_EVEN) return 'ev-positive';
+  return value <= 1 - SITUATION_BREAK_EVEN ? 'ev-negative' : '';
+}
+
+function situationRow(label, description, record, others = null) {
+  const ats = `${record.atsWins}-${record.atsLosses}${record.atsPushes ? `-${record.atsPushes}` : ''}`;
+  const ou = `${record.overs}-${record.unders}${record.ouPushes ? `-${record.ouPushes}` : ''}`;
+  const margin = formatSigned(record.avgCoverMargin, 1);
+  const edge = others ? formatSigned(record.coverRateEdge * 100, 1) : '';
+  return `
+    <tr>
+      <td><strong>${label}</strong><br><small class="muted">${description}</small></td>
+      <td style="text-align:right">${record.teamGames.toLocaleString()}</td>
+      <td>${ats}</td>
+      <td style="text-align:right" class="${situationRateClass(record.coverRate)}">${formatPercent(record.coverRate)}</td>
+      <td style="text-align:right">${others ? formatPercent(others.coverRate) : ''}</td>
+      <td style="text-align:right">${edge}${others && Number.isFinite(record.coverRateEdge) ? ' pp' : ''}</td>
+      <td style="text-align:right">${margin}</td>
+      <td>${ou}</td>
+      <td style="text-align:right" class="${situationRateClass(record.overRate)}">${formatPercent(record.overRate)}</td>
+    </tr>
+  `;
+}
+
+function fillSituationFilters() {
+  const fill = (id, values, blank) => {
+    const select = document.getElementById(id);
+    if (!select) return;
+    const current = select.value;
+    select.innerHTML = `<option value="">${blank}</option>` +
+      values.map(value => `<option value="${value}">${value}</option>`).join('');
+    if (values.map(String).includes(current)) select.value = current;
+  };
+  fill('situation-season', (STATS && STATS.seasons) || [], 'All Seasons');
+  fill('situation-conference', (STATS && STATS.conferences) || [], 'All Conferences');
+}
+
+async function loadSituations() {
+  const tbody = document.getElementById('situations-tbody');
+  if (!tbody) return;
+  const params = new URLSearchParams();
+  const season = document.getElementById('situation-season')?.value;
+  const conference = document.getElementById('situation-conference')?.value;
+  if (season) params.set('season', season);
+  if (conference) params.set('conference', conference);
+
+  try {
+    const resp = await getJson(withSport(`/api/situations?${params.toString()}`));
+    if (!resp.success) throw new Error(resp.error || 'API returned success=false');
+    const { baselines, situations } = resp.data;
+    if (!baselines.some(entry => entry.teamGames)) {
+      tbody.innerHTML = '<tr class="empty-row"><td colspan="9">No graded games for these filters.</td></tr>';
+      return;
+    }
+    tbody.innerHTML = situations.map(entry => situationRow(entry.label, entry.description, entry, entry.others)).join('') +
+      baselines.map(entry => situationRow(entry.label, entry.description, entry)).join('');
+  } catch (error) {
+    console.error('❌ Failed to load situational trends:', error);
+    tbody.innerHTML = '<tr class="empty-row"><td colspan="9">Error loading situational trends.</td></tr>';
+  }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  ['situation-season', 'situation-conference'].forEach(id => {
+    document.getElementById(id)?.addEventListener('change', loadSituations);
+  });
+});
+
+const _situationsPrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _situationsPrevRenderAllTabs();
+  fillSituationFilters();
+  loadSituations();
+};
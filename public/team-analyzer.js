@@ -0,0 +1,157 @@
+/*
+ * Team Analyzer tab for the betting dashboard
+ *
+ * Loads the team list for the active sport from /api/teams, then renders the
+ * selected team's profile from /api/teams/:team: summary cards for the
+ * straight-up, ATS and O/U records, home/away/neutral and favorite/underdog
+ * splits, moneyline ROI by season, and the most recent graded games.
+ */
+
+let TEAM_LIST_SPORT = null;
+
+function formatTeamRecord(wins, losses, pushes) {
+  return pushes ? `${wins}-${losses}-${pushes}` : `${wins}-${losses}`;
+}
+
+function buildTeamCard(title, value, detail) {
+  return (
+    '<div class="team-summary-card">' +
+    `<h3>${title}</h3>` +
+    `<p>${value}</p>` +
+    (detail ? `<small>${detail}</small>` : '') +
+    '</div>'
+  );
+}
+
+function renderTeamSummary(profile) {
+  const container = document.getElementById('team-summary');
+  if (!container) return;
+  const { record } = profile;
+  const units = profile.moneylineBySeason.reduce((acc, season) => acc + season.units, 0);
+  const bets = profile.moneylineBySeason.reduce((acc, season) => acc + season.bets, 0);
+  const mlSeasons = profile.moneylineBySeason
+    .map(season => `${season.season}: ${formatUnits(season.units)}`)
+    .join(' | ');
+
+  container.innerHTML = [
+    buildTeamCard('Straight Up', formatTeamRecord(record.wins, record.losses, record.ties), profile.conference || ''),
+    buildTeamCard('ATS', formatTeamRecord(record.atsWins, record.atsLosses, record.atsPushes), `Cover rate ${formatPercent(record.coverRate)}`),
+    buildTeamCard('Over / Under', formatTeamRecord(record.overs, record.unders, record.ouPushes), `Over rate ${formatPercent(record.overRate)}`),
+    buildTeamCard('Avg Cover Margin', formatSigned(record.avgCoverMargin, 1), 'Points vs. the consensus spread'),
+    buildTeamCard('Moneyline ROI', bets ? formatPercent(units / bets) : '—', mlSeasons || 'No moneyline prices')
+  ].join('');
+}
+
+function renderTeamSplits(profile) {
+  const tbody = document.getElementById('team-splits-tbody');
+  if (!tbody) return;
+  const labels = {
+    home: 'Home',
+    away: 'Away',
+    neutral: 'Neutral',
+    favorite: 'Favorite',
+    underdog: 'Underdog'
+  };
+  tbody.innerHTML = Object.entries(labels).map(([key, label]) => {
+    const split = profile.splits[key];
+    if (!split || !split.games) {
+      return `<tr><td>${label}</td><td colspan="4" class="muted">No games</td></tr>`;
+    }
+    return `
+      <tr>
+        <td>${label}</td>
+        <td>${formatTeamRecord(split.wins, split.losses, split.ties)}</td>
+        <td>${formatTeamRecord(split.atsWins, split.atsLosses, split.atsPushes)} (${formatPercent(split.coverRate)})</td>
+        <td>${formatTeamRecord(split.overs, split.unders, split.ouPushes)} (${formatPercent(split.overRate)})</td>
+        <td style="text-align:right">${formatSigned(split.avgCoverMargin, 1)}</td>
+      </tr>
+    `;
+  }).join('');
+}
+
+function renderTeamGames(profile) {
+  const tbody = document.getElementById('team-games-tbody');
+  if (!tbody) return;
+  if (!profile.recentGames.length) {
+    tbody.innerHTML = '<tr class="empty-row"><td colspan="7">No completed games.</td></tr>';
+    return;
+  }
+  const prefixes = { home: 'vs', away: '@', neutral: 'vs (N)' };
+  tbody.innerHTML = profile.recentGames.map(game => `
+    <tr>
+      <td>${(game.startDate || '').split('T')[0] || '—'}</td>
+      <td>${prefixes[game.location] || ''} ${game.opponent}</td>
+      <td>${game.result} ${game.teamScore}-${game.opponentScore}</td>
+      <td style="text-align:right">${formatSigned(game.spread, 1)}</td>
+      <td>${game.atsResult || '—'}</td>
+      <td style="text-align:right">${Number.isFinite(game.total) ? game.total.toFixed(1) : '—'}</td>
+      <td>${game.ouResult ? game.ouResult.toUpperCase() : '—'}</td>
+    </tr>
+  `).join('');
+}
+
+function clearTeamProfile(message) {
+  const summary = document.getElementById('team-summary');
+  if (summary) summary.innerHTML = `<div class="chart-empty">${message}</div>`;
+  const splits = document.getElementById('team-splits-tbody');
+  if (splits) splits.innerHTML = `<tr class="empty-row"><td colspan="5">${message}</td></tr>`;
+  const games = document.getElementById('team-games-tbody');
+  if (games) games.innerHTML = `<tr class="empty-row"><td colspan="7">${message}</td></tr>`;
+}
+
+async function loadTeamProfile() {
+  const team = document.getElementById('team-select')?.value;
+  const season = document.getElementById('team-season')?.value;
+  if (!team) {
+    clearTeamProfile('Pick a team to see its records.');
+    return;
+  }
+  try {
+    const query = season ? `?season=${encodeURIComponent(season)}` : '';
+    const resp = await getJson(withSport(`/api/teams/${encodeURIComponent(team)}${query}`));
+    if (!resp.success) {
+      clearTeamProfile(resp.error || 'No games found.');
+      return;
+    }
+    renderTeamSummary(resp.data);
+    renderTeamSplits(resp.data);
+    renderTeamGames(resp.data);
+  } catch (error) {
+    console.error('❌ Failed to load team profile:', error);
+    clearTeamProfile('Error loading team profile.');
+  }
+}
+
+// Refill the team and season pickers when the sport changes
+async function refreshTeamAnalyzer() {
+  if (TEAM_LIST_SPORT === CURRENT_SPORT) return;
+  TEAM_LIST_SPORT = CURRENT_SPORT;
+  const teamSelect = document.getElementById('team-select');
+  const seasonSelect = document.getElementById('team-season');
+  if (!teamSelect || !seasonSelect) return;
+
+  try {
+    const resp = await getJson(withSport('/api/teams'));
+    const teams = resp.success && Array.isArray(resp.data) ? resp.data : [];
+    teamSelect.innerHTML = '<option value="">Select a team…</option>' +
+      teams.map(team => `<option value="${team}">${team}</option>`).join('');
+  } catch (error) {
+    console.error('❌ Failed to load team list:', error);
+  }
+
+  const seasons = Array.isArray(STATS?.seasons) ? STATS.seasons : [];
+  seasonSelect.innerHTML = '<option value="">All Seasons</option>' +
+    seasons.map(season => `<option value="${season}">${season}</option>`).join('');
+  clearTeamProfile('Pick a team to see its records.');
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+  document.getElementById('team-select')?.addEventListener('change', loadTeamProfile);
+  document.getElementById('team-season')?.addEventListener('change', loadTeamProfile);
+});
+
+const _teamsPrevRenderAllTabs = renderAllTabs;
+renderAllTabs = function () {
+  _teamsPrevRenderAllTabs();
+  refreshTeamAnalyzer();
+};
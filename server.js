@@ -1,62 +1,188 @@
 // server.js — JSON file-based version
-const fs = require('fs');
-const path = require('path');
+const { SPORTS } = require('./lib/game-schema');
+const store = require('./lib/data-store');
+const { consolidateGames } = require('./lib/consolidate');
+const { gradeGame, gradeConsolidatedGame, summarizeAts } = require('./lib/grading');
+const { listTeams, buildTeamProfile } = require('./lib/teams');
+const { backtestMoneylines } = require('./lib/moneyline');
+const { analyzeKeyNumbers } = require('./lib/key-numbers');
+const { detectSharpMoves } = require('./lib/sharp');
+const bets = require('./lib/bets');
+const { evaluateBets, gradeBet } = require('./lib/clv');
+const { buildRatings, ratingsForWeek } = require('./lib/ratings');
+const { findEdges } = require('./lib/edges');
+const { parseArbitrageQuery, scanArbitrage } = require('./lib/arbitrage');
+const { VIG_METHODS, DEFAULT_VIG_METHOD, priceLine, summarizeHolds } = require('./lib/pricing');
+const { normalizeRule, validateRule, runBacktest } = require('./lib/backtest');
+const strategies = require('./lib/strategies');
+const { CHECKS, auditShards } = require('./lib/data-quality');
+const { PLAYOFF_ROUNDS, parsePlayoffRound } = require('./lib/nfl-weeks');
+const { GAME_FILTERS, LINE_FILTERS, parseGameQuery, filterGames, paginateGames, projectFields } = require('./lib/game-query');
+const { OFF_BYE_DAYS, SHORT_WEEK_DAYS, UPSET_SPREAD, buildSituations, summarizeSituations } = require('./lib/situations');
 
-function loadJsonData(sport) {
-  const filePath = path.join(__dirname, 'public', 'data', `${sport.toLowerCase()}-games.json`);
-  
+function sendJson(res, statusCode, body) {
+  res.statusCode = statusCode;
+  res.setHeader('Content-Type', 'application/json');
+  res.end(JSON.stringify(body));
+}
+
+// Returns the lower-cased sport, or null after answering 400 for an unknown one
+function readSport(searchParams, res) {
+  const sport = (searchParams.get('sport') || 'ncaaf').toLowerCase();
+  if (!SPORTS.includes(sport)) {
+    sendJson(res, 400, { success: false, error: `Unknown sport: ${sport}` });
+    return null;
+  }
+  return sport;
+}
+
+// Vercel pre-parses bodies into req.body; plain Node hands us the stream
+async function readBody(req) {
+  if (req.body !== undefined) return req.body;
+  let raw = '';
+  for await (const chunk of req) raw += chunk;
+  return raw;
+}
+
+async function readJsonBody(req) {
+  const body = await readBody(req);
+  if (body && typeof body === 'object') return body;
+  return body ? JSON.parse(body) : {};
+}
+
+// Sends 400 for a body that is not JSON and resolves to null
+async function readJsonOr400(req, res) {
   try {
-    if (fs.existsSync(filePath)) {
-      const data = fs.readFileSync(filePath, 'utf8');
-      return JSON.parse(data);
-    }
-    return [];
-  } catch (error) {
-    console.error(`Error loading ${sport} data:`, error);
-    return [];
+    return await readJsonBody(req);
+  } catch (err) {
+    sendJson(res, 400, { success: false, error: 'Request body must be JSON' });
+    return null;
+  }
+}
+
+function sendBetResult(res, outcome, successStatus = 200) {
+  if (!outcome) {
+    sendJson(res, 404, { success: false, error: 'Bet not found' });
+  } else if (outcome.errors) {
+    sendJson(res, 400, { success: false, error: outcome.errors.join('; '), errors: outcome.errors });
+  } else {
+    sendJson(res, successStatus, { success: true, data: outcome.bet });
+  }
+}
+
+function sendStrategyResult(res, outcome, successStatus = 200) {
+  if (!outcome) {
+    sendJson(res, 404, { success: false, error: 'Saved rule not found' });
+  } else if (outcome.errors) {
+    sendJson(res, 400, { success: false, error: outcome.errors.join('; '), errors: outcome.errors });
+  } else {
+    sendJson(res, successStatus, { success: true, data: outcome.strategy });
+  }
+}
+
+// Returns the no-vig method, or null after answering 400 for an unknown one
+function readVigMethod(searchParams, res) {
+  const method = (searchParams.get('vigMethod') || DEFAULT_VIG_METHOD).toLowerCase();
+  if (!VIG_METHODS.includes(method)) {
+    sendJson(res, 400, { success: false, error: `Unknown vigMethod: ${method} (use ${VIG_METHODS.join(', ')})` });
+    return null;
+  }
+  return method;
+}
+
+// Returns the playoff round ('' when none was asked for), or null after answering 400 for an unknown one
+function readRound(searchParams, res) {
+  const value = searchParams.get('round');
+  if (!value) return '';
+  const round = parsePlayoffRound(value);
+  if (!round) {
+    sendJson(res, 400, { success: false, error: `Unknown round: ${value} (use ${PLAYOFF_ROUNDS.join(', ')})` });
+    return null;
   }
+  return round;
 }
 
 function generateStats(games) {
   if (!Array.isArray(games) || games.length === 0) {
     return {
       totalGames: 0,
+      totalLines: 0,
       spreadCoverage: 0,
       totalsCoverage: 0,
       seasons: [],
       conferences: [],
-      sportsbooks: []
+      sportsbooks: [],
+      bySeason: [],
+      byBook: []
     };
   }
 
-  const totalGames = games.length;
-  
-  // Count games with spread data
-  const gamesWithSpreads = games.filter(g => 
-    g.spread !== null && g.spread !== undefined && g.spread !== ''
-  ).length;
-  
-  // Count games with totals data
-  const gamesWithTotals = games.filter(g => 
-    g.overUnder !== null && g.overUnder !== undefined && g.overUnder !== ''
-  ).length;
+  // Each book's line is its own row, so count distinct games for the totals
+  const consolidated = consolidateGames(games);
+  const totalGames = consolidated.length;
+  const hasLine = (game, field) => Object.values(game.lines).some(line => Number.isFinite(line[field]));
+
+  // Count games with spread data from at least one book
+  const gamesWithSpreads = consolidated.filter(g => hasLine(g, 'spread')).length;
+
+  // Count games with totals data from at least one book
+  const gamesWithTotals = consolidated.filter(g => hasLine(g, 'overUnder')).length;
   
   const spreadCoverage = totalGames > 0 ? (gamesWithSpreads / totalGames) * 100 : 0;
   const totalsCoverage = totalGames > 0 ? (gamesWithTotals / totalGames) * 100 : 0;
   
   // Extract unique values
-  const seasons = [...new Set(games.map(g => g.season || g.Season).filter(Boolean))].sort((a, b) => Number(b) - Number(a));
-  const conferences = [...new Set(games.flatMap(g => [g.homeConference || g.HomeConference, g.awayConference || g.AwayConference]).filter(Boolean))].sort();
-  const sportsbooks = [...new Set(games.map(g => g.lineProvider || g.LineProvider).filter(Boolean))].sort();
-  
+  const seasons = [...new Set(games.map(g => g.season).filter(Boolean))].sort((a, b) => Number(b) - Number(a));
+  const conferences = [...new Set(games.flatMap(g => [g.homeConference, g.awayConference]).filter(Boolean))].sort();
+  const sportsbooks = [...new Set(games.map(g => g.lineProvider).filter(Boolean))].sort();
+
   return {
     totalGames,
+    totalLines: games.length,
     spreadCoverage,
     totalsCoverage,
     seasons,
     conferences,
-    sportsbooks
+    sportsbooks,
+    bySeason: seasonCounts(games, consolidated),
+    byBook: bookCoverage(consolidated)
+  };
+}
+
+// Distinct games and book lines per season, oldest season first
+function seasonCounts(games, consolidated) {
+  const counts = new Map();
+  const entry = season => {
+    if (!counts.has(season)) counts.set(season, { season, games: 0, lines: 0 });
+    return counts.get(season);
   };
+  consolidated.forEach(game => { entry(game.season).games += 1; });
+  games.forEach(game => { entry(game.season).lines += 1; });
+  return [...counts.values()].sort((a, b) => Number(a.season) - Number(b.season));
+}
+
+// Per book: games it priced at all, and the share of every game it has a spread, total and moneyline for
+function bookCoverage(consolidated) {
+  const books = new Map();
+  consolidated.forEach(game => {
+    Object.entries(game.lines).forEach(([book, line]) => {
+      if (!books.has(book)) books.set(book, { book, games: 0, spreads: 0, totals: 0, moneylines: 0 });
+      const entry = books.get(book);
+      entry.games += 1;
+      if (Number.isFinite(line.spread)) entry.spreads += 1;
+      if (Number.isFinite(line.overUnder)) entry.totals += 1;
+      if (Number.isFinite(line.homeMoneyline) && Number.isFinite(line.awayMoneyline)) entry.moneylines += 1;
+    });
+  });
+  const share = count => (consolidated.length ? (count / consolidated.length) * 100 : 0);
+  return [...books.values()]
+    .map(entry => ({
+      ...entry,
+      spreadCoverage: share(entry.spreads),
+      totalsCoverage: share(entry.totals),
+      moneylineCoverage: share(entry.moneylines)
+    }))
+    .sort((a, b) => b.games - a.games || a.book.localeCompare(b.book));
 }
 
 module.exports = async (req, res) => {
@@ -65,73 +191,513 @@ module.exports = async (req, res) => {
 
     // Health check
     if (pathname === '/api/health') {
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({
+      sendJson(res, 200, {
         ok: true,
         node: process.version,
         dataSource: 'JSON files',
+        seasons: Object.fromEntries(SPORTS.map(sport => [sport, store.listSeasons(sport)])),
         env: process.env.VERCEL_ENV || 'unknown',
         timestamp: new Date().toISOString(),
-      }));
+      });
       return;
     }
 
     // Stats endpoint
     if (pathname === '/api/stats') {
-      const sport = searchParams.get('sport') || 'NCAAF';
-      const games = loadJsonData(sport);
-      const stats = generateStats(games);
-      
-      res.statusCode = 200;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ success: true, data: stats }));
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const season = searchParams.get('season');
+      const stats = generateStats(store.queryGames(sport, {
+        seasons: season ? [season] : [],
+        conference: searchParams.get('conference'),
+        book: searchParams.get('book')
+      }));
+
+      sendJson(res, 200, { success: true, data: stats });
       return;
     }
 
     // Games endpoint
     if (pathname === '/api/games') {
-      const sport = searchParams.get('sport') || 'NCAAF';
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const view = searchParams.get('view') || 'lines';
+      const vigMethod = readVigMethod(searchParams, res);
+      if (!vigMethod) return;
+      const round = readRound(searchParams, res);
+      if (round === null) return;
+
+      if (!['lines', 'consolidated'].includes(view)) {
+        sendJson(res, 400, { success: false, error: `Unknown view: ${view}` });
+        return;
+      }
+      const { query, errors } = parseGameQuery(searchParams);
+      if (errors.length) {
+        sendJson(res, 400, { success: false, error: errors.join('; ') });
+        return;
+      }
+
+      // Only the requested seasons' shards are loaded; the rest go through the indexes
+      let games = store.queryGames(sport, { seasons: query.seasons, ...query.index, round });
+      games = filterGames(games, query.filters, GAME_FILTERS);
+
+      // One record per game with a `lines` map per book
+      if (view === 'consolidated') {
+        games = consolidateGames(games, { vigMethod });
+      }
+      games = filterGames(games, query.filters, LINE_FILTERS);
+
+      // Sort and page, then grade and price only the rows being returned
+      const { total, offset, nextCursor, games: rows } = paginateGames(games, query);
+      const page = rows.map(game => projectFields(
+        view === 'consolidated'
+          ? gradeConsolidatedGame(game)
+          : {
+            ...game,
+            grade: gradeGame(game),
+            pricing: priceLine(game, { method: vigMethod }),
+            openPricing: priceLine(game, { method: vigMethod, snapshot: 'open' })
+          },
+        query.fields
+      ));
+
+      sendJson(res, 200, {
+        success: true,
+        view,
+        total,
+        offset,
+        limit: query.limit,
+        count: page.length,
+        nextCursor,
+        data: page
+      });
+      return;
+    }
+
+    // ATS and O/U summary endpoint
+    if (pathname === '/api/ats') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const season = searchParams.get('season');
+      const games = store.queryGames(sport, {
+        seasons: season ? [season] : [],
+        team: searchParams.get('team'),
+        conference: searchParams.get('conference'),
+        book: searchParams.get('book')
+      });
+
+      sendJson(res, 200, { success: true, data: summarizeAts(games) });
+      return;
+    }
+
+    // Moneyline ROI backtest endpoint
+    if (pathname === '/api/moneyline') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
       const season = searchParams.get('season');
-      const conference = searchParams.get('conference');
       const book = searchParams.get('book');
-      const limit = parseInt(searchParams.get('limit')) || 500;
+      const games = store.queryGames(sport, {
+        seasons: season ? [season] : [],
+        conference: searchParams.get('conference'),
+        book
+      });
 
-      let games = loadJsonData(sport);
-      
-      // Apply filters
-      if (season) {
-        games = games.filter(g => String(g.season || g.Season || '') === String(season));
-      }
-      
-      if (conference) {
-        games = games.filter(g => 
-          (g.homeConference || g.HomeConference) === conference || 
-          (g.awayConference || g.AwayConference) === conference
-        );
-      }
-      
-      if (book) {
-        games = games.filter(g => (g.lineProvider || g.LineProvider) === book);
-      }
-      
-      // Sort by date (newest first)
-      games.sort((a, b) => {
-        const dateA = new Date(a.startDate || a.StartDate || 0).getTime();
-        const dateB = new Date(b.startDate || b.StartDate || 0).getTime();
-        return dateB - dateA;
+      sendJson(res, 200, { success: true, data: backtestMoneylines(games, { book }) });
+      return;
+    }
+
+    // Key numbers and push probability endpoint
+    if (pathname === '/api/key-numbers') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const season = searchParams.get('season');
+      const book = searchParams.get('book');
+      const window = parseFloat(searchParams.get('window'));
+      const games = store.queryGames(sport, {
+        seasons: season ? [season] : [],
+        conference: searchParams.get('conference'),
+        book
+      });
+
+      sendJson(res, 200, { success: true, data: analyzeKeyNumbers(games, { book, window }) });
+      return;
+    }
+
+    // Sharp money alerts from opening vs. closing lines
+    if (pathname === '/api/sharp') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const season = searchParams.get('season');
+      const limit = parseInt(searchParams.get('limit')) || 200;
+      const games = store.queryGames(sport, {
+        seasons: season ? [season] : [],
+        conference: searchParams.get('conference'),
+        week: searchParams.get('week'),
+        book: searchParams.get('book')
+      });
+      const result = detectSharpMoves(games, { minBooks: searchParams.get('minBooks') });
+
+      sendJson(res, 200, {
+        success: true,
+        data: { ...result, alertCount: result.alerts.length, alerts: result.alerts.slice(0, limit) }
       });
-      
-      // Limit results
-      games = games.slice(0, limit);
+      return;
+    }
+
+    // Bet journal: list or record a bet
+    if (pathname === '/api/bets') {
+      if (req.method === 'POST') {
+        const input = await readJsonOr400(req, res);
+        if (!input) return;
+        sendBetResult(res, bets.addBet(input), 201);
+        return;
+      }
+      const list = bets.listBets({ sport: searchParams.get('sport') });
+      sendJson(res, 200, { success: true, count: list.length, data: list });
+      return;
+    }
 
+    // Bet journal export as a JSON or CSV download
+    if (pathname === '/api/bets/export') {
+      const format = (searchParams.get('format') || 'json').toLowerCase();
+      const list = bets.listBets({ sport: searchParams.get('sport') });
+      const stamp = new Date().toISOString().split('T')[0];
       res.statusCode = 200;
-      res.setHeader('Content-Type', 'application/json');
-      res.end(JSON.stringify({ 
-        success: true, 
-        count: games.length, 
-        data: games 
-      }));
+      if (format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="bets-${stamp}.csv"`);
+        res.end(bets.betsToCsv(list));
+      } else {
+        res.setHeader('Content-Type', 'application/json');
+        res.setHeader('Content-Disposition', `attachment; filename="bets-${stamp}.json"`);
+        res.end(JSON.stringify(list, null, 2));
+      }
+      return;
+    }
+
+    // Bet journal import from a JSON or CSV export
+    if (pathname === '/api/bets/import') {
+      if (req.method !== 'POST') {
+        sendJson(res, 405, { success: false, error: 'Use POST to import bets' });
+        return;
+      }
+      const format = (searchParams.get('format') || 'json').toLowerCase();
+      let records;
+      try {
+        records = bets.parseBetsFile(await readBody(req), format);
+      } catch (err) {
+        sendJson(res, 400, { success: false, error: `Could not parse ${format.toUpperCase()} import: ${err.message}` });
+        return;
+      }
+      sendJson(res, 200, { success: true, data: bets.importBets(records) });
+      return;
+    }
+
+    // Settle a bet; without a result it is graded from the final score
+    if (pathname.startsWith('/api/bets/') && pathname.endsWith('/settle')) {
+      if (req.method !== 'POST') {
+        sendJson(res, 405, { success: false, error: 'Use POST to settle a bet' });
+        return;
+      }
+      const id = decodeURIComponent(pathname.slice('/api/bets/'.length, -'/settle'.length));
+      const bet = bets.getBet(id);
+      if (!bet) {
+        sendJson(res, 404, { success: false, error: 'Bet not found' });
+        return;
+      }
+      const input = await readJsonOr400(req, res);
+      if (!input) return;
+      let result = input.result;
+      if (!result) {
+        const game = store.loadGames(bet.sport).find(row => String(row.id) === bet.gameId);
+        result = gradeBet(bet, game);
+        if (!result) {
+          sendJson(res, 409, { success: false, error: 'Game is not final yet; pass a result to settle it manually' });
+          return;
+        }
+      }
+      sendBetResult(res, bets.settleBet(id, result));
+      return;
+    }
+
+    // Single bet: read, edit or delete
+    if (pathname.startsWith('/api/bets/')) {
+      const id = decodeURIComponent(pathname.slice('/api/bets/'.length));
+      if (req.method === 'PUT' || req.method === 'PATCH') {
+        const input = await readJsonOr400(req, res);
+        if (!input) return;
+        sendBetResult(res, bets.updateBet(id, input));
+        return;
+      }
+      if (req.method === 'DELETE') {
+        if (!bets.deleteBet(id)) {
+          sendJson(res, 404, { success: false, error: 'Bet not found' });
+          return;
+        }
+        sendJson(res, 200, { success: true, data: { id } });
+        return;
+      }
+      const bet = bets.getBet(id);
+      sendBetResult(res, bet && { bet });
+      return;
+    }
+
+    // Closing line value and graded P&L for logged bets
+    if (pathname === '/api/clv') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const logged = bets.listBets({ sport });
+      sendJson(res, 200, { success: true, data: evaluateBets(logged, store.loadGames(sport)) });
+      return;
+    }
+
+    // Elo power ratings by week with model vs. market spreads
+    if (pathname === '/api/ratings') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const seasons = store.listSeasons(sport);
+      const season = searchParams.get('season') || seasons[seasons.length - 1];
+      const week = searchParams.get('week');
+
+      // Ratings carry over between seasons, so the walk always starts at the first shard
+      const result = buildRatings(store.loadGames(sport), sport);
+      const view = ratingsForWeek(result, season, week);
+      if (!view) {
+        sendJson(res, 404, { success: false, error: `No ${sport.toUpperCase()} ratings for season ${season}${week ? ` week ${week}` : ''}` });
+        return;
+      }
+      sendJson(res, 200, { success: true, data: { sport, settings: result.settings, ...view } });
+      return;
+    }
+
+    // Bookmaker hold per book and market, plus no-vig fair odds per game
+    if (pathname === '/api/pricing') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const vigMethod = readVigMethod(searchParams, res);
+      if (!vigMethod) return;
+      const season = searchParams.get('season');
+      const limit = parseInt(searchParams.get('limit')) || 100;
+      const games = store.queryGames(sport, {
+        seasons: season ? [season] : [],
+        team: searchParams.get('team'),
+        conference: searchParams.get('conference'),
+        week: searchParams.get('week'),
+        book: searchParams.get('book')
+      });
+      const fair = consolidateGames(games, { vigMethod })
+        .sort((a, b) => new Date(b.startDate || 0) - new Date(a.startDate || 0))
+        .slice(0, limit)
+        .map(game => ({
+          id: game.id,
+          season: game.season,
+          week: game.week,
+          startDate: game.startDate,
+          homeTeam: game.homeTeam,
+          awayTeam: game.awayTeam,
+          fair: game.fair,
+          books: Object.fromEntries(Object.entries(game.lines).map(([book, line]) => [book, line.pricing]))
+        }));
+
+      sendJson(res, 200, {
+        success: true,
+        data: { vigMethod, methods: VIG_METHODS, holds: summarizeHolds(games), games: fair }
+      });
+      return;
+    }
+
+    // Positive-EV plays on upcoming games, model vs. every book's line
+    if (pathname === '/api/edges') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const limit = parseInt(searchParams.get('limit')) || 200;
+      const result = findEdges(store.loadGames(sport), sport, {
+        minEv: searchParams.get('minEv'),
+        book: searchParams.get('book')
+      });
+
+      sendJson(res, 200, {
+        success: true,
+        data: { ...result, playCount: result.plays.length, plays: result.plays.slice(0, limit) }
+      });
+      return;
+    }
+
+    // Cross-book moneyline arbs and spread/total middles
+    if (pathname === '/api/arbitrage') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const { seasons, options, errors } = parseArbitrageQuery(searchParams);
+      if (errors.length) {
+        sendJson(res, 400, { success: false, error: errors.join('; ') });
+        return;
+      }
+      const limit = parseInt(searchParams.get('limit')) || 200;
+      const games = store.queryGames(sport, {
+        seasons,
+        conference: searchParams.get('conference'),
+        week: searchParams.get('week')
+      });
+      const result = scanArbitrage(games, store.loadGames(sport), options);
+
+      sendJson(res, 200, {
+        success: true,
+        data: {
+          ...result,
+          arbCount: result.arbs.length,
+          middleCount: result.middles.length,
+          arbs: result.arbs.slice(0, limit),
+          middles: result.middles.slice(0, limit)
+        }
+      });
+      return;
+    }
+
+    // Saved backtest rules: list or save one
+    if (pathname === '/api/backtest/rules') {
+      if (req.method === 'POST') {
+        const input = await readJsonOr400(req, res);
+        if (!input) return;
+        sendStrategyResult(res, strategies.saveStrategy(input), 201);
+        return;
+      }
+      const list = strategies.listStrategies({ sport: searchParams.get('sport') });
+      sendJson(res, 200, { success: true, count: list.length, data: list });
+      return;
+    }
+
+    // Single saved rule: edit or delete
+    if (pathname.startsWith('/api/backtest/rules/')) {
+      const id = decodeURIComponent(pathname.slice('/api/backtest/rules/'.length));
+      if (req.method === 'PUT' || req.method === 'PATCH') {
+        const input = await readJsonOr400(req, res);
+        if (!input) return;
+        sendStrategyResult(res, strategies.updateStrategy(id, input));
+        return;
+      }
+      if (req.method === 'DELETE') {
+        if (!strategies.deleteStrategy(id)) {
+          sendJson(res, 404, { success: false, error: 'Saved rule not found' });
+          return;
+        }
+        sendJson(res, 200, { success: true, data: { id } });
+        return;
+      }
+      sendJson(res, 405, { success: false, error: 'Use PUT or DELETE on a saved rule' });
+      return;
+    }
+
+    // Strategy backtest: POST a rule, or GET a saved one with ?rule=<id>
+    if (pathname === '/api/backtest') {
+      let sport;
+      let input;
+      if (req.method === 'POST') {
+        sport = readSport(searchParams, res);
+        if (!sport) return;
+        input = await readJsonOr400(req, res);
+        if (!input) return;
+      } else {
+        const saved = strategies.listStrategies().find(entry => entry.id === searchParams.get('rule'));
+        if (!saved) {
+          sendJson(res, 404, { success: false, error: 'Saved rule not found; POST a rule to backtest it' });
+          return;
+        }
+        sport = saved.sport;
+        input = saved.rule;
+      }
+      const rule = normalizeRule(input);
+      const errors = validateRule(rule);
+      if (errors.length) {
+        sendJson(res, 400, { success: false, error: errors.join('; '), errors });
+        return;
+      }
+      const limit = parseInt(searchParams.get('limit')) || 500;
+      // Previous-game filters need every season, so the whole sport is loaded
+      const result = runBacktest(store.loadGames(sport), rule);
+
+      sendJson(res, 200, {
+        success: true,
+        data: { sport, ...result, betCount: result.bets.length, bets: result.bets.slice(0, limit) }
+      });
+      return;
+    }
+
+    // Situational spots (rest, bye, road trips, revenge, letdown, lookahead) with ATS/O-U splits
+    if (pathname === '/api/situations') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const season = searchParams.get('season');
+      const team = (searchParams.get('team') || '').trim().toLowerCase();
+      const conference = (searchParams.get('conference') || '').trim().toLowerCase();
+      const limit = parseInt(searchParams.get('limit')) || 100;
+
+      // Rest and revenge spots reach into earlier games, so every season is walked before filtering
+      const entries = buildSituations(store.loadGames(sport)).filter(entry => (
+        (!season || String(entry.season) === season) &&
+        (!team || entry.team.toLowerCase() === team) &&
+        (!conference || String(entry.conference || '').toLowerCase() === conference)
+      ));
+      const recent = entries
+        .filter(entry => team && entry.grade)
+        .sort((a, b) => new Date(b.startDate || 0) - new Date(a.startDate || 0))
+        .slice(0, limit);
+
+      sendJson(res, 200, {
+        success: true,
+        data: {
+          sport,
+          settings: { offByeDays: OFF_BYE_DAYS, shortWeekDays: SHORT_WEEK_DAYS, upsetSpread: UPSET_SPREAD },
+          ...summarizeSituations(entries),
+          games: recent
+        }
+      });
+      return;
+    }
+
+    // Data-quality audit of the raw season shards (every sport unless one is given)
+    if (pathname === '/api/data-quality') {
+      let sports = [];
+      if (searchParams.get('sport')) {
+        const sport = readSport(searchParams, res);
+        if (!sport) return;
+        sports = [sport];
+      }
+      const check = searchParams.get('check');
+      if (check && !CHECKS.includes(check)) {
+        sendJson(res, 400, { success: false, error: `Unknown check: ${check} (use ${CHECKS.join(', ')})` });
+        return;
+      }
+      const season = searchParams.get('season');
+      const limit = parseInt(searchParams.get('limit')) || 200;
+      const report = auditShards({ sports, seasons: season ? [season] : [] });
+      const issues = check ? report.issues.filter(issue => issue.check === check) : report.issues;
+
+      sendJson(res, 200, { success: true, data: { ...report, issues: issues.slice(0, limit) } });
+      return;
+    }
+
+    // Team list for the Team Analyzer picker
+    if (pathname === '/api/teams') {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      sendJson(res, 200, { success: true, data: listTeams(store.loadGames(sport)) });
+      return;
+    }
+
+    // Team Analyzer profile endpoint
+    if (pathname.startsWith('/api/teams/')) {
+      const sport = readSport(searchParams, res);
+      if (!sport) return;
+      const team = decodeURIComponent(pathname.slice('/api/teams/'.length));
+      const season = searchParams.get('season');
+      const games = store.queryGames(sport, { seasons: season ? [season] : [], team });
+      const profile = buildTeamProfile(games, team);
+
+      if (!profile) {
+        sendJson(res, 404, { success: false, error: `No ${sport.toUpperCase()} games found for ${team}` });
+        return;
+      }
+      sendJson(res, 200, { success: true, data: profile });
       return;
     }
 
@@ -142,12 +708,10 @@ module.exports = async (req, res) => {
     
   } catch (err) {
     console.error('Server error:', err);
-    res.statusCode = 500;
-    res.setHeader('Content-Type', 'application/json');
-    res.end(JSON.stringify({ 
-      ok: false, 
+    sendJson(res, 500, {
+      ok: false,
       error: String(err && err.message),
       stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
-    }));
+    });
   }
 };